@@ -0,0 +1,344 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Authentication of requests, and read/write permissions per database.
+ *
+ * Credentials are configured in a JSON file:
+ * - tokens: static API tokens, sent as `Authorization: Bearer <token>` (or `Token <token>`, like InfluxDB v2 clients)
+ * - users: usernames and passwords, sent with Basic auth or the `u` and `p` parameters of InfluxDB v1 clients
+ * - jwt: JSON Web Tokens sent as bearer tokens, verified against a local secret or public key
+ *
+ * Each credential has `permissions`, a list of actions (read, write) per
+ * database, `*` matching any database, and may be `admin`, which allows
+ * everything including the admin and debug routes. Tokens and passwords may
+ * be written as `sha256:<hex digest>` instead of in clear.
+ */
+
+const ACTIONS = new Set(['read', 'write']);
+
+// Digest and verification parameters of the supported JWT algorithms
+const JWT_ALGORITHMS = {
+  HS256: { kind: 'hmac', hash: 'sha256' },
+  HS384: { kind: 'hmac', hash: 'sha384' },
+  HS512: { kind: 'hmac', hash: 'sha512' },
+  RS256: { kind: 'rsa', hash: 'sha256' },
+  RS384: { kind: 'rsa', hash: 'sha384' },
+  RS512: { kind: 'rsa', hash: 'sha512' },
+  PS256: { kind: 'rsa-pss', hash: 'sha256' },
+  PS384: { kind: 'rsa-pss', hash: 'sha384' },
+  PS512: { kind: 'rsa-pss', hash: 'sha512' },
+  ES256: { kind: 'ecdsa', hash: 'sha256' },
+  ES384: { kind: 'ecdsa', hash: 'sha384' },
+  ES512: { kind: 'ecdsa', hash: 'sha512' },
+  EdDSA: { kind: 'eddsa', hash: null }
+};
+
+/**
+ * Authentication (401) and authorization (403) failures
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+class Authenticator {
+  /**
+   * @param {string} [configPath] - Credentials file; without one, authentication is disabled
+   */
+  constructor(configPath) {
+    this.configPath = configPath || null;
+    this.enabled = false;
+    this.tokens = [];
+    this.users = new Map();
+    this.jwt = null;
+  }
+
+  /**
+   * Read the credentials file
+   */
+  async load() {
+    if (!this.configPath) {
+      console.log('Authentication is disabled, set AUTH_CONFIG to enable it');
+      return;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(await fs.promises.readFile(this.configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read credentials from ${this.configPath}: ${error.message}`);
+    }
+
+    this.tokens = (config.tokens || []).map((entry, index) => {
+      if (!entry.token) throw new Error(`Token ${index} of ${this.configPath} has no token`);
+      return { digest: secretDigest(entry.token), principal: this._principal(entry.name || `token ${index}`, 'token', entry) };
+    });
+
+    this.users = new Map();
+    for (const entry of config.users || []) {
+      if (!entry.username || !entry.password) throw new Error(`Users of ${this.configPath} need a username and a password`);
+      this.users.set(entry.username, { digest: secretDigest(entry.password), principal: this._principal(entry.username, 'basic', entry) });
+    }
+
+    this.jwt = config.jwt ? await this._loadJwtConfig(config.jwt) : null;
+    this.enabled = true;
+    console.log(`Authentication enabled: ${this.tokens.length} tokens, ${this.users.size} users, JWT ${this.jwt ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Identify the sender of a request
+   * @param {Object} credentials
+   * @param {string} [credentials.authorization] - Authorization header
+   * @param {string} [credentials.username] - InfluxDB v1 `u` parameter
+   * @param {string} [credentials.password] - InfluxDB v1 `p` parameter
+   * @returns {Object} - Principal as {name, method, admin, permissions}
+   * @throws {AuthError} - Without valid credentials
+   */
+  authenticate({ authorization, username, password } = {}) {
+    if (authorization) {
+      const [scheme, ...rest] = authorization.trim().split(/\s+/);
+      const value = rest.join(' ');
+
+      if (/^(bearer|token)$/i.test(scheme) && value) {
+        return this._checkToken(value);
+      }
+      if (/^basic$/i.test(scheme) && value) {
+        const decoded = Buffer.from(value, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) throw new AuthError('Invalid Basic credentials');
+        return this._checkPassword(decoded.slice(0, separator), decoded.slice(separator + 1));
+      }
+      throw new AuthError(`Unsupported authorization scheme: ${scheme}`);
+    }
+
+    if (username !== undefined || password !== undefined) {
+      return this._checkPassword(username || '', password || '');
+    }
+    throw new AuthError('Authentication required');
+  }
+
+  /**
+   * Whether a principal may read or write a database. Everything is allowed
+   * when authentication is disabled.
+   * @param {Object} principal - Principal from authenticate()
+   * @param {string} dbName - Database name
+   * @param {string} action - read or write
+   * @returns {boolean}
+   */
+  can(principal, dbName, action) {
+    if (!this.enabled) return true;
+    if (!principal) return false;
+    if (principal.admin) return true;
+    const actions = principal.permissions.get(dbName) || principal.permissions.get('*');
+    return !!actions && actions.has(action);
+  }
+
+  /**
+   * Require a permission on a database
+   * @param {Object} principal - Principal from authenticate()
+   * @param {string} dbName - Database name
+   * @param {string} action - read or write
+   * @throws {AuthError} - 403 if the principal doesn't have it
+   */
+  authorize(principal, dbName, action) {
+    if (!this.can(principal, dbName, action)) {
+      throw new AuthError(`Not allowed to ${action} database ${dbName}`, 403);
+    }
+  }
+
+  /**
+   * Require an admin principal
+   * @param {Object} principal - Principal from authenticate()
+   * @throws {AuthError} - 403 if the principal isn't an admin
+   */
+  authorizeAdmin(principal) {
+    if (this.enabled && !(principal && principal.admin)) {
+      throw new AuthError('Admin permission required', 403);
+    }
+  }
+
+  /**
+   * Build a principal from the permissions of a credential
+   * @private
+   */
+  _principal(name, method, entry) {
+    const permissions = new Map();
+    for (const [dbName, value] of Object.entries(entry.permissions || {})) {
+      const actions = Array.isArray(value) ? value : [value];
+      for (const action of actions) {
+        if (!ACTIONS.has(action)) {
+          throw new Error(`Invalid permission '${action}' for ${name} on ${dbName}, expected read or write`);
+        }
+      }
+      permissions.set(dbName, new Set(actions));
+    }
+    return { name, method, admin: entry.admin === true, permissions };
+  }
+
+  /**
+   * Authenticate a bearer token: a static token, or a JWT
+   * @private
+   */
+  _checkToken(token) {
+    const digest = sha256(token);
+    const match = this.tokens.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+    if (match) return match.principal;
+
+    if (this.jwt && token.split('.').length === 3) {
+      return this._checkJwt(token);
+    }
+    throw new AuthError('Invalid token');
+  }
+
+  /**
+   * Authenticate a username and password. InfluxDB clients configured with a
+   * token only may send it as the password of any username.
+   * @private
+   */
+  _checkPassword(username, password) {
+    const user = this.users.get(username);
+    if (user) {
+      if (crypto.timingSafeEqual(user.digest, sha256(password))) return user.principal;
+      throw new AuthError('Invalid username or password');
+    }
+
+    const digest = sha256(password);
+    const match = this.tokens.find(entry => crypto.timingSafeEqual(entry.digest, digest));
+    if (match) return match.principal;
+    throw new AuthError('Invalid username or password');
+  }
+
+  /**
+   * Read the JWT settings and key
+   * @private
+   */
+  async _loadJwtConfig(config) {
+    let key;
+    if (config.secret) {
+      key = Buffer.from(config.secret);
+    } else if (config.key_file) {
+      const keyPath = path.resolve(path.dirname(this.configPath), config.key_file);
+      key = crypto.createPublicKey(await fs.promises.readFile(keyPath));
+    } else {
+      throw new Error(`JWT settings of ${this.configPath} need a secret or a key_file`);
+    }
+
+    const algorithms = config.algorithms || (config.secret ? ['HS256'] : ['RS256', 'ES256', 'EdDSA']);
+    for (const algorithm of algorithms) {
+      const spec = JWT_ALGORITHMS[algorithm];
+      if (!spec) throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+      // An HMAC secret must never be accepted as a public key, nor the reverse
+      if ((spec.kind === 'hmac') !== !!config.secret) {
+        throw new Error(`JWT algorithm ${algorithm} doesn't match the configured ${config.secret ? 'secret' : 'key_file'}`);
+      }
+    }
+
+    return {
+      key,
+      algorithms: new Set(algorithms),
+      issuer: config.issuer || null,
+      audience: config.audience || null,
+      leeway: config.leeway_seconds || 0
+    };
+  }
+
+  /**
+   * Verify a JWT and build the principal of its claims: `permissions` like
+   * in the credentials file, `admin`, and `sub` as the name
+   * @private
+   */
+  _checkJwt(token) {
+    const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new AuthError('Invalid token');
+    }
+
+    const { key, algorithms, issuer, audience, leeway } = this.jwt;
+    if (!algorithms.has(header.alg)) {
+      throw new AuthError(`JWT algorithm not allowed: ${header.alg}`);
+    }
+    if (!verifySignature(header.alg, key, `${encodedHeader}.${encodedPayload}`, Buffer.from(encodedSignature, 'base64url'))) {
+      throw new AuthError('Invalid token signature');
+    }
+
+    const now = Date.now() / 1000;
+    if (typeof claims.exp === 'number' && now > claims.exp + leeway) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - leeway) {
+      throw new AuthError('Token not valid yet');
+    }
+    if (issuer && claims.iss !== issuer) {
+      throw new AuthError('Invalid token issuer');
+    }
+    if (audience && !(Array.isArray(claims.aud) ? claims.aud : [claims.aud]).includes(audience)) {
+      throw new AuthError('Invalid token audience');
+    }
+
+    try {
+      return this._principal(claims.sub || 'jwt', 'jwt', claims);
+    } catch (error) {
+      throw new AuthError(`Invalid token permissions: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * SHA-256 digest of a value
+ * @private
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Digest of a configured secret, given in clear or as sha256:<hex>
+ * @private
+ */
+function secretDigest(secret) {
+  const match = /^sha256:([0-9a-f]{64})$/i.exec(secret);
+  return match ? Buffer.from(match[1], 'hex') : sha256(secret);
+}
+
+/**
+ * Check the signature of a JWT
+ * @private
+ */
+function verifySignature(algorithm, key, data, signature) {
+  const { kind, hash } = JWT_ALGORITHMS[algorithm];
+  try {
+    switch (kind) {
+      case 'hmac': {
+        const expected = crypto.createHmac(hash, key).update(data).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+      }
+      case 'rsa':
+        return crypto.verify(hash, Buffer.from(data), key, signature);
+      case 'rsa-pss':
+        return crypto.verify(hash, Buffer.from(data), {
+          key,
+          padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+          saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST
+        }, signature);
+      case 'ecdsa':
+        return crypto.verify(hash, Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' }, signature);
+      default:
+        return crypto.verify(null, Buffer.from(data), key, signature);
+    }
+  } catch (error) {
+    // A key of another type than the algorithm's
+    return false;
+  }
+}
+
+export default Authenticator;
@@ -0,0 +1,411 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { compareStatValues } from './statsPruning.js';
+import QueryPool from './QueryPool.js';
+
+/**
+ * Merges the small Parquet files of partitions into larger files sorted by
+ * time, so queries read fewer files.
+ *
+ * Files are merged through DuckDB outside of the partition lock; only the
+ * swap in metadata.json is done while holding it, so writers are never
+ * blocked for long. Replaced files are kept for a grace period, recorded as
+ * `obsolete_files` in metadata.json, since queries that listed them before
+ * the swap may still be reading them; later runs delete them, once no query
+ * of this process started before the swap is still running.
+ *
+ * Merges run on a DuckDB worker of their own, so they neither take the
+ * workers of queries nor get refused when queries queue up.
+ */
+class Compactor {
+  /**
+   * @param {QueryClient} queryClient - Initialized query client, whose connection, writer and catalog are used
+   * @param {Object} [options] - Compaction options
+   * @param {number} [options.minFiles=4] - Small files a partition needs before it is compacted
+   * @param {number} [options.targetFileSize=134217728] - Size in bytes of merged files; files of at least half of it aren't merged
+   * @param {number} [options.gracePeriod=300000] - Milliseconds replaced files are kept for queries still reading them
+   * @param {number} [options.interval] - Milliseconds between background runs, none by default
+   */
+  constructor(queryClient, options = {}) {
+    this.queryClient = queryClient;
+    this.minFiles = Math.max(2, options.minFiles || 4);
+    this.targetFileSize = options.targetFileSize || 128 * 1024 * 1024;
+    this.gracePeriod = options.gracePeriod === undefined ? 300000 : options.gracePeriod;
+    this.interval = options.interval || null;
+    this.timer = null;
+    this.running = null;
+    this.runs = 0;
+    this.failures = 0;
+    this.lastRun = null;
+    this.pool = null;
+    // Time at which the files replaced in a partition stopped being listed, per partition directory
+    this.replacedAt = new Map();
+  }
+
+  /**
+   * Compact in the background every `interval` milliseconds
+   */
+  start() {
+    if (!this.interval || this.timer) return;
+
+    console.log(`Compacting partitions every ${this.interval / 1000}s`);
+    this.timer = setInterval(() => {
+      if (this.running) return;
+      this.run().catch(error => console.error('Background compaction failed:', error));
+    }, this.interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop background compaction
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Stop background compaction and the merge worker
+   */
+  async close() {
+    this.stop();
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
+    }
+  }
+
+  /**
+   * Compact the partitions of every database, of a database or of a measurement,
+   * and delete replaced files whose grace period is over
+   * @param {Object} [scope]
+   * @param {string} [scope.dbName] - Only compact this database
+   * @param {string} [scope.measurement] - Only compact this measurement (requires dbName)
+   * @returns {Object} - Summary of the run
+   */
+  async run({ dbName, measurement } = {}) {
+    if (this.running) {
+      const error = new Error('Compaction is already running');
+      error.status = 409;
+      throw error;
+    }
+    if (measurement && !dbName) {
+      const error = new Error('A measurement to compact needs its database');
+      error.status = 400;
+      throw error;
+    }
+
+    this.running = this._run(dbName, measurement);
+    try {
+      const summary = await this.running;
+      this.lastRun = summary;
+      return summary;
+    } catch (error) {
+      this.failures++;
+      throw error;
+    } finally {
+      this.running = null;
+      this.runs++;
+    }
+  }
+
+  /**
+   * Compaction counters for monitoring
+   * @returns {Object}
+   */
+  stats() {
+    return {
+      running: !!this.running,
+      interval_ms: this.interval,
+      runs: this.runs,
+      failures: this.failures,
+      last_run: this.lastRun
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _run(dbName, measurement) {
+    const summary = {
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      partitions: 0,
+      compacted: 0,
+      files_merged: 0,
+      files_written: 0,
+      bytes_merged: 0,
+      bytes_written: 0,
+      files_deleted: 0,
+      failed: 0
+    };
+    const { queryClient } = this;
+
+    for (const database of dbName ? [dbName] : await queryClient.listDatabases()) {
+      for (const name of measurement ? [measurement] : await queryClient.listMeasurements(database)) {
+        const { partitions } = await queryClient.metadataCatalog.getMeasurement(database, name);
+
+        for (const partition of partitions.filter(item => item.metadata)) {
+          summary.partitions++;
+
+          // The current hour is still being written to
+          if (partition.hourStart === null || partition.hourStart + 3600000 > Date.now()) {
+            summary.files_deleted += await this.deleteObsoleteFiles(partition.dir);
+            continue;
+          }
+
+          let result = null;
+          try {
+            result = await this.compactPartition(partition.dir);
+          } catch (error) {
+            // Leave the partition as it is and go on with the others
+            console.error(`Failed to compact ${partition.dir}:`, error);
+            summary.failed++;
+          }
+          if (result) {
+            // Queries listing files from now on get the merged ones
+            queryClient.metadataCatalog.invalidate(database, name);
+            this.replacedAt.set(partition.dir, Date.now());
+            summary.compacted++;
+            summary.files_merged += result.filesMerged;
+            summary.files_written += result.filesWritten;
+            summary.bytes_merged += result.bytesMerged;
+            summary.bytes_written += result.bytesWritten;
+          }
+          summary.files_deleted += await this.deleteObsoleteFiles(partition.dir);
+        }
+      }
+    }
+
+    summary.finished_at = new Date().toISOString();
+    console.log(`Compaction finished: ${summary.files_merged} files merged into ${summary.files_written} ` +
+      `in ${summary.compacted} of ${summary.partitions} partitions, ${summary.files_deleted} replaced files deleted`);
+    return summary;
+  }
+
+  /**
+   * Merge the small files of a partition
+   * @param {string} dirPath - Partition directory
+   * @returns {Object|null} - {filesMerged, filesWritten, bytesMerged, bytesWritten}, or null if
+   *   the partition doesn't need compaction
+   */
+  async compactPartition(dirPath) {
+    const { writer } = this.queryClient;
+    const metadata = await writer.readMetadata(dirPath);
+
+    const small = (metadata.files || [])
+      .filter(file => (file.size_bytes || 0) < this.targetFileSize / 2)
+      .sort((a, b) => a.min_time - b.min_time);
+    if (small.length < this.minFiles) {
+      return null;
+    }
+
+    // Files are merged in time order, up to the target size per merged file
+    const groups = [];
+    let group = [];
+    let groupSize = 0;
+    for (const file of small) {
+      if (group.length && groupSize + (file.size_bytes || 0) > this.targetFileSize) {
+        groups.push(group);
+        group = [];
+        groupSize = 0;
+      }
+      group.push(file);
+      groupSize += file.size_bytes || 0;
+    }
+    groups.push(group);
+
+    const merged = [];
+    try {
+      for (const files of groups.filter(item => item.length > 1)) {
+        merged.push({ files, entry: await this._mergeFiles(dirPath, files) });
+      }
+    } catch (error) {
+      await Promise.all(merged.map(({ entry }) => fs.promises.rm(entry.path, { force: true })));
+      throw error;
+    }
+    if (!merged.length) {
+      return null;
+    }
+
+    return writer.withLock(dirPath, async () => {
+      // Another compaction may have replaced some of the files meanwhile
+      const current = await writer.readMetadata(dirPath);
+      const listed = new Set((current.files || []).map(file => file.path));
+      const applied = [];
+      for (const item of merged) {
+        if (item.files.every(file => listed.has(file.path))) {
+          applied.push(item);
+        } else {
+          await fs.promises.rm(item.entry.path, { force: true });
+        }
+      }
+      if (!applied.length) {
+        return null;
+      }
+
+      const replaced = new Set(applied.flatMap(item => item.files.map(file => file.path)));
+      const deleteAfter = Date.now() + this.gracePeriod;
+      current.files = [...current.files.filter(file => !replaced.has(file.path)), ...applied.map(item => item.entry)]
+        .sort((a, b) => a.min_time - b.min_time);
+      current.obsolete_files = [
+        ...(current.obsolete_files || []),
+        ...[...replaced].map(filePath => ({ path: filePath, delete_after: deleteAfter }))
+      ];
+      await writer.writeMetadata(dirPath, current);
+
+      const result = {
+        filesMerged: replaced.size,
+        filesWritten: applied.length,
+        bytesMerged: applied.reduce((sum, item) => sum + item.files.reduce((total, file) => total + (file.size_bytes || 0), 0), 0),
+        bytesWritten: applied.reduce((sum, item) => sum + item.entry.size_bytes, 0)
+      };
+      console.log(`Compacted ${dirPath}: ${result.filesMerged} files into ${result.filesWritten}`);
+      return result;
+    });
+  }
+
+  /**
+   * Delete the replaced files of a partition whose grace period is over,
+   * unless queries started before they were replaced are still running
+   * @param {string} dirPath - Partition directory
+   * @returns {number} - Files deleted
+   */
+  async deleteObsoleteFiles(dirPath) {
+    const { writer } = this.queryClient;
+
+    return writer.withLock(dirPath, async () => {
+      const metadata = await writer.readMetadata(dirPath);
+      const obsolete = metadata.obsolete_files || [];
+      const now = Date.now();
+      const due = obsolete.filter(file => file.delete_after <= now);
+      if (!due.length) {
+        return 0;
+      }
+
+      // Queries have no time limit by default, and streams last as long as their client reads
+      const oldest = this.queryClient.oldestRead();
+      if (oldest !== null && oldest <= (this.replacedAt.get(dirPath) || 0)) {
+        console.log(`Keeping ${due.length} replaced files in ${dirPath}: queries started before they were replaced are still running`);
+        return 0;
+      }
+
+      const listed = new Set((metadata.files || []).map(file => path.basename(file.path)));
+      for (const file of due) {
+        if (listed.has(path.basename(file.path))) continue;
+        await fs.promises.rm(file.path, { force: true });
+        await fs.promises.rm(path.join(dirPath, path.basename(file.path)), { force: true });
+      }
+
+      metadata.obsolete_files = obsolete.filter(file => file.delete_after > now);
+      if (!metadata.obsolete_files.length) {
+        this.replacedAt.delete(dirPath);
+      }
+      await writer.writeMetadata(dirPath, metadata);
+      console.log(`Deleted ${due.length} replaced files in ${dirPath}`);
+      return due.length;
+    });
+  }
+
+  /**
+   * Merge files into a new file of the partition, sorted by time
+   * @private
+   * @returns {Object} - Metadata entry of the new file
+   */
+  async _mergeFiles(dirPath, files) {
+    const sources = [];
+    for (const file of files) {
+      sources.push(await this._resolvePath(file.path, dirPath));
+    }
+
+    const filePath = path.resolve(dirPath, `${crypto.randomUUID()}.parquet`);
+    const tempPath = `${filePath}.tmp`;
+    // Without hive partitioning, the date= and hour= directories don't become columns of the merged file
+    const copySql = `COPY (SELECT * FROM read_parquet([${sources.map(source => `'${source.replace(/'/g, "''")}'`).join(', ')}], union_by_name = true, hive_partitioning = false) ORDER BY time) ` +
+      `TO '${tempPath.replace(/'/g, "''")}' (FORMAT PARQUET)`;
+
+    try {
+      // With the settings of query workers (memory limit, sandbox); merges take as long as they need
+      if (!this.pool) {
+        this.pool = new QueryPool({ size: 1, settings: this.queryClient.pool.settings });
+        this.pool.start();
+      }
+      const lease = await this.pool.acquire({ sql: copySql });
+      let failure = null;
+      try {
+        await lease.run(copySql);
+      } catch (error) {
+        failure = error;
+        throw error;
+      } finally {
+        lease.release(failure);
+      }
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw new Error(`Failed to compact ${files.length} files of ${dirPath}: ${error.message}`);
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    const entry = {
+      path: filePath,
+      size_bytes: stats.size,
+      row_count: files.reduce((sum, file) => sum + (file.row_count || 0), 0),
+      min_time: Math.min(...files.map(file => file.min_time)),
+      max_time: Math.max(...files.map(file => file.max_time))
+    };
+
+    // Tag and field keys and column statistics carry over when every file has them
+    if (files.every(file => file.tags && file.fields)) {
+      entry.tags = [...new Set(files.flatMap(file => file.tags))];
+      entry.fields = [...new Set(files.flatMap(file => file.fields))];
+      if (files.every(file => file.column_stats)) {
+        entry.column_stats = this._mergeColumnStats(files);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Combine the column statistics of files. A column keeps statistics only
+   * if every file having it has statistics of the same type for it.
+   * @private
+   */
+  _mergeColumnStats(files) {
+    const merged = {};
+    const columns = new Set(files.flatMap(file => [...file.tags, ...file.fields]));
+
+    for (const column of columns) {
+      const withColumn = files.filter(file => file.tags.includes(column) || file.fields.includes(column));
+      const stats = withColumn.map(file => file.column_stats[column]);
+      if (stats.some(item => !item || item.type !== stats[0].type)) continue;
+
+      const { type } = stats[0];
+      merged[column] = stats.reduce((result, item) => ({
+        type,
+        min: compareStatValues(item.min, result.min, type) < 0 ? item.min : result.min,
+        max: compareStatValues(item.max, result.max, type) > 0 ? item.max : result.max
+      }));
+    }
+    return merged;
+  }
+
+  /**
+   * Path of a file listed in metadata.json: as written, or next to the
+   * metadata.json if the data directory was moved
+   * @private
+   */
+  async _resolvePath(filePath, dirPath) {
+    try {
+      await fs.promises.access(filePath);
+      return filePath;
+    } catch (error) {
+      return path.join(dirPath, path.basename(filePath));
+    }
+  }
+}
+
+export default Compactor;
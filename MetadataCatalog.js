@@ -0,0 +1,287 @@
+import path from 'path';
+import fs from 'fs';
+import { checkName } from './ParquetWriter.js';
+
+/**
+ * In-memory index of the partitions and Parquet files of each measurement,
+ * read from its metadata.json files, so that finding the files of a query
+ * doesn't walk the data directory every time.
+ *
+ * An index is reloaded when its measurement directory changes (watched with
+ * fs.watch), when it is older than the TTL (in case events are missed, e.g.
+ * on network filesystems) or when it is invalidated, which writers of this
+ * process do after each write. What callers keep on an index object, such as
+ * the schema of the measurement, is dropped along with it.
+ */
+class MetadataCatalog {
+  /**
+   * @param {string} [dataDir='./data'] - Root of the GigAPI data directory
+   * @param {Object} [options] - Catalog options
+   * @param {number} [options.ttl=60000] - Milliseconds an index is used before it is reloaded, 0 to reload on every lookup
+   * @param {boolean} [options.watch=true] - Watch measurement directories and reload their index on changes
+   */
+  constructor(dataDir = './data', options = {}) {
+    this.dataDir = dataDir;
+    this.ttl = options.ttl === undefined ? 60000 : options.ttl;
+    this.watch = options.watch !== false;
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, reloads: 0, invalidations: 0, watch_events: 0, watch_errors: 0 };
+  }
+
+  /**
+   * Get the index of a measurement, loading it if it isn't cached or is out of date
+   * @param {string} dbName - Database name
+   * @param {string} measurement - Measurement name
+   * @returns {Object} - {dbName, measurement, exists, partitions, loadedAt}; each partition
+   *   is {dir, hourStart, metadata, files}, hourStart being the epoch ms of a date=/hour= partition
+   */
+  async getMeasurement(dbName, measurement) {
+    checkName(dbName);
+    checkName(measurement);
+    const key = path.join(dbName, measurement);
+    const entry = this.entries.get(key);
+
+    if (entry && !entry.stale && Date.now() - entry.loadedAt < this.ttl) {
+      this.counters.hits++;
+      return entry.index;
+    }
+
+    this.counters.misses++;
+    if (entry) this.counters.reloads++;
+
+    const current = {
+      index: this._load(dbName, measurement),
+      loadedAt: Date.now(),
+      stale: false,
+      watcher: entry ? entry.watcher : null
+    };
+    this.entries.set(key, current);
+
+    try {
+      const index = await current.index;
+      // A measurement that doesn't exist yet isn't cached, nor watched
+      if (!index.exists && this.entries.get(key) === current) {
+        this._forget(key);
+      } else if (index.exists && this.watch && !current.watcher) {
+        current.watcher = this._watch(key);
+      }
+      return index;
+    } catch (error) {
+      if (this.entries.get(key) === current) {
+        this._forget(key);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find the files of a measurement that may hold rows of a time range.
+   * Files of the date=/hour= partitions between the hours of the range are
+   * used; if there are none, files of any directory overlapping the range.
+   * Without a complete range, partition and file times aren't checked.
+   * @param {string} dbName - Database name
+   * @param {string} measurement - Measurement name
+   * @param {Object} timeRange - {start, end} in nanoseconds, either may be null
+   * @returns {Array} - File paths
+   */
+  async findFiles(dbName, measurement, timeRange) {
+    const { partitions } = await this.getMeasurement(dbName, measurement);
+    const { start, end } = timeRange;
+
+    if (start === null && end === null) {
+      return partitions.flatMap(partition => partition.files.map(file => file.path));
+    }
+
+    const bounded = start !== null && end !== null;
+    const overlaps = item => !bounded || (item.max_time >= start && item.min_time <= end);
+    const collect = candidates => candidates
+      .filter(partition => !partition.metadata || overlaps(partition.metadata))
+      .flatMap(partition => (partition.metadata ? partition.files.filter(overlaps) : partition.files))
+      .map(file => file.path);
+
+    const firstHour = Math.floor(start / 1000000 / 3600000) * 3600000;
+    const lastHour = Math.floor(end / 1000000 / 3600000) * 3600000;
+    const files = collect(partitions.filter(partition =>
+      partition.metadata && partition.hourStart !== null && partition.hourStart >= firstHour && partition.hourStart <= lastHour));
+
+    return files.length ? files : collect(partitions);
+  }
+
+  /**
+   * Mark the index of a measurement, or of every measurement of a database,
+   * as out of date
+   * @param {string} dbName - Database name
+   * @param {string} [measurement] - Measurement name
+   */
+  invalidate(dbName, measurement) {
+    const prefix = path.join(dbName, measurement || '');
+    for (const [key, entry] of this.entries) {
+      if (measurement ? key === prefix : key.startsWith(prefix + path.sep)) {
+        entry.stale = true;
+        this.counters.invalidations++;
+      }
+    }
+  }
+
+  /**
+   * Cache counters for monitoring
+   * @returns {Object}
+   */
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      ...this.counters,
+      hit_ratio: lookups ? this.counters.hits / lookups : null,
+      measurements: this.entries.size,
+      watched: [...this.entries.values()].filter(entry => entry.watcher).length,
+      ttl_ms: this.ttl
+    };
+  }
+
+  /**
+   * Stop watching and drop every index
+   */
+  close() {
+    for (const key of [...this.entries.keys()]) {
+      this._forget(key);
+    }
+  }
+
+  /**
+   * Drop the index of a measurement and stop watching it
+   * @private
+   */
+  _forget(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.watcher) {
+      entry.watcher.close();
+    }
+    this.entries.delete(key);
+  }
+
+  /**
+   * Watch a measurement directory, marking its index as out of date on changes
+   * @private
+   */
+  _watch(key) {
+    try {
+      const watcher = fs.watch(path.join(this.dataDir, key), { recursive: true, persistent: false }, (eventType, filename) => {
+        // Temporary files of writers are renamed once complete, which is the change that matters
+        if (filename && String(filename).endsWith('.tmp')) return;
+        this.counters.watch_events++;
+        const entry = this.entries.get(key);
+        if (entry) entry.stale = true;
+      });
+
+      watcher.on('error', (error) => {
+        console.error(`Error watching ${key}, relying on the TTL:`, error.message);
+        this.counters.watch_errors++;
+        watcher.close();
+        const entry = this.entries.get(key);
+        if (entry && entry.watcher === watcher) {
+          entry.watcher = null;
+          entry.stale = true;
+        }
+      });
+      return watcher;
+    } catch (error) {
+      console.error(`Failed to watch ${key}, relying on the TTL:`, error.message);
+      this.counters.watch_errors++;
+      return null;
+    }
+  }
+
+  /**
+   * Build the index of a measurement
+   * @private
+   */
+  async _load(dbName, measurement) {
+    const basePath = path.join(this.dataDir, dbName, measurement);
+    const partitions = [];
+    const exists = await this._loadDirectory(basePath, basePath, partitions);
+
+    const fileCount = partitions.reduce((sum, partition) => sum + partition.files.length, 0);
+    console.log(`Loaded metadata of ${dbName}.${measurement}: ${partitions.length} partitions, ${fileCount} files`);
+    return { dbName, measurement, exists, partitions, loadedAt: Date.now() };
+  }
+
+  /**
+   * Add the partition of a directory and of its subdirectories to an index.
+   * A directory with a metadata.json holds the files it lists, any other
+   * directory the Parquet files in it.
+   * @private
+   * @returns {boolean} - Whether the directory exists
+   */
+  async _loadDirectory(basePath, dirPath, partitions) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return false;
+      throw error;
+    }
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const hive = path.relative(basePath, dirPath).split(path.sep).join('/').match(/^date=(\d{4}-\d{2}-\d{2})\/hour=(\d{1,2})$/);
+    const partition = {
+      dir: dirPath,
+      hourStart: hive ? Date.parse(`${hive[1]}T00:00:00Z`) + parseInt(hive[2]) * 3600000 : null,
+      metadata: null,
+      files: []
+    };
+
+    if (entries.some(entry => entry.isFile() && entry.name === 'metadata.json')) {
+      const metadataPath = path.join(dirPath, 'metadata.json');
+      try {
+        partition.metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+        for (const file of partition.metadata.files || []) {
+          const filePath = await this._resolveFile(file.path, dirPath);
+          if (filePath) {
+            partition.files.push({ ...file, path: filePath });
+          }
+        }
+      } catch (error) {
+        console.error(`Error reading metadata at ${metadataPath}:`, error);
+        partition.metadata = null;
+      }
+    } else {
+      for (const entry of entries) {
+        if (entry.isFile() && entry.name.endsWith('.parquet')) {
+          partition.files.push({ path: path.join(dirPath, entry.name) });
+        }
+      }
+    }
+
+    if (partition.metadata || partition.files.length) {
+      partitions.push(partition);
+    }
+
+    for (const entry of entries) {
+      if (entry.isDirectory()) {
+        await this._loadDirectory(basePath, path.join(dirPath, entry.name), partitions);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Resolve the path of a file listed in metadata.json: as written, or next
+   * to the metadata.json if the data directory was moved
+   * @private
+   * @returns {string|null} - Existing path, or null
+   */
+  async _resolveFile(filePath, dirPath) {
+    for (const candidate of [filePath, path.join(dirPath, path.basename(filePath))]) {
+      try {
+        await fs.promises.access(candidate);
+        return candidate;
+      } catch (error) {
+        // Try the next candidate
+      }
+    }
+    console.log(`File not found at either path: ${filePath} or ${path.join(dirPath, path.basename(filePath))}`);
+    return null;
+  }
+}
+
+export default MetadataCatalog;
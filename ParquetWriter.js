@@ -0,0 +1,314 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { compareStatValues } from './statsPruning.js';
+
+// Longest string recorded as a min or max in column statistics, in bytes
+const MAX_STATS_STRING_BYTES = 256;
+
+/**
+ * Reject database and measurement names that would leave the data directory
+ * @param {string} name - Database or measurement name
+ * @throws {Error} - With status 400 for an invalid name
+ */
+export function checkName(name) {
+  if (!name || typeof name !== 'string' || name.startsWith('.') || /[\/\\]/.test(name)) {
+    const error = new Error(`Invalid database or measurement name: ${name}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Writes line protocol points into the GigAPI Hive layout
+ * (<db>/<measurement>/date=YYYY-MM-DD/hour=HH/*.parquet) and keeps each
+ * partition's metadata.json in sync with the files it contains.
+ */
+class ParquetWriter {
+  constructor(connection, dataDir = './data') {
+    this.connection = connection;
+    this.dataDir = dataDir;
+    this.locks = new Map();
+  }
+
+  /**
+   * Write points of a single measurement, one Parquet file per hour partition
+   * @param {string} dbName - Database name
+   * @param {string} measurement - Measurement name
+   * @param {Array} points - Parsed line protocol points
+   * @returns {Array} - Metadata entries of the files written
+   */
+  async write(dbName, measurement, points) {
+    const written = [];
+    if (!points.length) return written;
+
+    checkName(dbName);
+    checkName(measurement);
+
+    const measurementDir = path.join(this.dataDir, dbName, measurement);
+
+    for (const [partition, partitionPoints] of this._partitionPoints(points)) {
+      const hourDir = path.join(measurementDir, partition);
+      await fs.promises.mkdir(hourDir, { recursive: true });
+
+      const entry = await this.withLock(hourDir, async () => {
+        const filePath = path.resolve(hourDir, `${crypto.randomUUID()}.parquet`);
+        const fileEntry = await this._writeParquetFile(filePath, partitionPoints);
+        await this._appendToMetadata(hourDir, [fileEntry]);
+        return fileEntry;
+      });
+
+      console.log(`Wrote ${entry.row_count} points to ${entry.path}`);
+      written.push(entry);
+    }
+
+    return written;
+  }
+
+  /**
+   * Run a function while holding the lock of a partition directory.
+   * Writers and anything else rewriting metadata.json must go through here.
+   * @param {string} dirPath - Partition directory
+   * @param {Function} fn - Async function to run
+   */
+  async withLock(dirPath, fn) {
+    const key = path.resolve(dirPath);
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    const tail = current.catch(() => {});
+    this.locks.set(key, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Group points by the date/hour partition of their own timestamp (UTC)
+   * @private
+   */
+  _partitionPoints(points) {
+    const partitions = new Map();
+
+    for (const point of points) {
+      const date = new Date(Number(BigInt(point.timestamp) / 1000000n));
+      const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
+      const hour = String(date.getUTCHours()).padStart(2, '0');
+      const key = path.join(`date=${dateStr}`, `hour=${hour}`);
+
+      if (!partitions.has(key)) {
+        partitions.set(key, []);
+      }
+      partitions.get(key).push(point);
+    }
+
+    return partitions;
+  }
+
+  /**
+   * Build the column list for a batch of points: time first, then tags, then fields
+   * @private
+   */
+  _buildSchema(points) {
+    const columns = new Map([['time', 'BIGINT']]);
+
+    for (const point of points) {
+      for (const key of Object.keys(point.tags)) {
+        columns.set(key, 'VARCHAR');
+      }
+    }
+
+    for (const point of points) {
+      for (const [key, value] of Object.entries(point.fields)) {
+        const type = this._duckdbType(value);
+        const existing = columns.get(key);
+
+        if (!existing) {
+          columns.set(key, type);
+        } else if (existing !== type) {
+          // Numeric fields widen to DOUBLE, anything else falls back to text
+          const numeric = ['BIGINT', 'UBIGINT', 'DOUBLE'];
+          columns.set(key, numeric.includes(existing) && numeric.includes(type) ? 'DOUBLE' : 'VARCHAR');
+        }
+      }
+    }
+
+    return Array.from(columns, ([name, type]) => ({ name, type }));
+  }
+
+  /**
+   * Map a field value to the DuckDB column type used to store it
+   * @private
+   */
+  _duckdbType(value) {
+    // Line protocol integers are parsed as BigInt, floats as numbers
+    if (typeof value === 'bigint') return value > 9223372036854775807n ? 'UBIGINT' : 'BIGINT';
+    if (typeof value === 'boolean') return 'BOOLEAN';
+    if (typeof value === 'string') return 'VARCHAR';
+    return 'DOUBLE';
+  }
+
+  /**
+   * Render a value as a SQL literal
+   * @private
+   */
+  _sqlLiteral(value) {
+    if (value === undefined || value === null) return 'NULL';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'bigint' || typeof value === 'number') return value.toString();
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Write points to a Parquet file through DuckDB, sorted by time
+   * @private
+   */
+  async _writeParquetFile(filePath, points) {
+    const schema = this._buildSchema(points);
+    const tempPath = `${filePath}.tmp`;
+
+    let minTime = null;
+    let maxTime = null;
+    const rows = points.map(point => {
+      const time = BigInt(point.timestamp);
+      if (minTime === null || time < minTime) minTime = time;
+      if (maxTime === null || time > maxTime) maxTime = time;
+
+      const values = schema.map(({ name }) => {
+        if (name === 'time') return time;
+        return name in point.fields ? point.fields[name] : point.tags[name];
+      });
+      return `(${values.map(value => this._sqlLiteral(value)).join(', ')})`;
+    });
+
+    const aliases = schema.map((_, i) => `c${i}`);
+    const projection = schema
+      .map(({ name, type }, i) => `CAST(c${i} AS ${type}) AS "${name.replace(/"/g, '""')}"`)
+      .join(', ');
+
+    const copySql = `COPY (SELECT ${projection} FROM (VALUES ${rows.join(', ')}) AS v(${aliases.join(', ')}) ORDER BY c0) ` +
+      `TO '${tempPath.replace(/'/g, "''")}' (FORMAT PARQUET)`;
+
+    try {
+      this.connection.query(copySql);
+      // Only expose the file under its final name once it is complete
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw new Error(`Failed to write parquet file ${filePath}: ${error.message}`);
+    }
+
+    const stats = await fs.promises.stat(filePath);
+
+    // Parquet has no notion of tags, so the file entry records which columns were
+    const tags = new Set(points.flatMap(point => Object.keys(point.tags)));
+
+    return {
+      path: filePath,
+      size_bytes: stats.size,
+      row_count: points.length,
+      min_time: Number(minTime),
+      max_time: Number(maxTime),
+      tags: schema.filter(({ name }) => name !== 'time' && tags.has(name)).map(({ name }) => name),
+      fields: schema.filter(({ name }) => name !== 'time' && !tags.has(name)).map(({ name }) => name),
+      column_stats: this._columnStats(schema, points)
+    };
+  }
+
+  /**
+   * Min and max of the columns of a file, used to skip it for queries
+   * filtering on other values. Columns whose values would be converted when
+   * cast to the column type (or long strings) get no statistics.
+   * @private
+   */
+  _columnStats(schema, points) {
+    const stats = {};
+
+    for (const { name, type } of schema) {
+      if (name === 'time' || !['VARCHAR', 'BIGINT', 'DOUBLE'].includes(type)) continue;
+
+      let min = null;
+      let max = null;
+      let usable = true;
+      for (const point of points) {
+        const value = name in point.fields ? point.fields[name] : point.tags[name];
+        if (value === undefined || value === null) continue;
+
+        usable = type === 'VARCHAR' ? typeof value === 'string' && Buffer.byteLength(value) <= MAX_STATS_STRING_BYTES
+          : type === 'BIGINT' ? typeof value === 'bigint'
+            : typeof value === 'bigint' || (typeof value === 'number' && !Number.isNaN(value));
+        if (!usable) break;
+
+        const comparable = type === 'DOUBLE' ? Number(value) : value;
+        if (min === null || compareStatValues(comparable, min, type) < 0) min = comparable;
+        if (max === null || compareStatValues(comparable, max, type) > 0) max = comparable;
+      }
+
+      if (usable && min !== null) {
+        // BIGINT bounds are strings so JSON keeps every digit
+        stats[name] = type === 'BIGINT' ? { type, min: String(min), max: String(max) } : { type, min, max };
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Read a partition's metadata.json, or an empty one if it doesn't exist yet
+   * @param {string} dirPath - Partition directory
+   * @returns {Object} - Metadata content
+   */
+  async readMetadata(dirPath) {
+    const metadataPath = path.join(dirPath, 'metadata.json');
+    try {
+      return JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return { files: [] };
+    }
+  }
+
+  /**
+   * Replace a partition's metadata.json atomically, recomputing the
+   * directory-level totals, time range and tag and field keys from its files
+   * @param {string} dirPath - Partition directory
+   * @param {Object} metadata - Metadata content with a files array
+   */
+  async writeMetadata(dirPath, metadata) {
+    const files = metadata.files || [];
+    const result = {
+      ...metadata,
+      min_time: files.length ? Math.min(...files.map(f => f.min_time)) : null,
+      max_time: files.length ? Math.max(...files.map(f => f.max_time)) : null,
+      row_count: files.reduce((sum, f) => sum + (f.row_count || 0), 0),
+      parquet_size_bytes: files.reduce((sum, f) => sum + (f.size_bytes || 0), 0),
+      tags: [...new Set(files.flatMap(f => f.tags || []))].sort(),
+      fields: [...new Set(files.flatMap(f => f.fields || []))].sort(),
+      files
+    };
+
+    const metadataPath = path.join(dirPath, 'metadata.json');
+    const tempPath = `${metadataPath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(result, null, 2));
+    await fs.promises.rename(tempPath, metadataPath);
+    return result;
+  }
+
+  /**
+   * Add file entries to a partition's metadata.json
+   * @private
+   */
+  async _appendToMetadata(dirPath, entries) {
+    const metadata = await this.readMetadata(dirPath);
+    metadata.files = [...(metadata.files || []), ...entries];
+    return this.writeMetadata(dirPath, metadata);
+  }
+}
+
+export default ParquetWriter;
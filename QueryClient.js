@@ -1,14 +1,120 @@
 import { open } from '@evan/duckdb';
 import path from 'path';
 import fs from 'fs';
-import { parse as parseLineProtocol } from './lineProtocol.js';
+import os from 'os';
+import crypto from 'crypto';
+import {
+  parseWithErrors as parseLineProtocolWithErrors,
+  parseStream as parseLineProtocolStream,
+  LineProtocolError
+} from './lineProtocol.js';
+import ParquetWriter, { checkName } from './ParquetWriter.js';
+import MetadataCatalog from './MetadataCatalog.js';
+import { expandGapfill } from './gapfill.js';
+import { parseCatalogStatement, catalogSql, catalogResult } from './catalog.js';
+import { parseDuckdbType } from './resultEncoding.js';
+import { extractColumnPredicates, statsCanMatch, footerStatsType } from './statsPruning.js';
+import { AuthError } from './Authenticator.js';
+import { checkSandboxedSql, sandboxSettings, applySettings } from './sqlSandbox.js';
+import QueryPool, { QueryCancelledError } from './QueryPool.js';
+import ResultCache from './ResultCache.js';
+import { parseDuration, resolveTimeExpression } from './timeExpressions.js';
+import {
+  tokenize,
+  parseSql,
+  collectTableReferences,
+  fromTables,
+  primarySelect,
+  conjuncts,
+  isColumn,
+  nodeText,
+  quoteIdentifier,
+  walk,
+  applyEdits
+} from './sqlParser.js';
+
+// Schemas of DuckDB's own catalog, which aren't measurements
+const SYSTEM_SCHEMAS = new Set(['information_schema', 'pg_catalog']);
+
+// Files whose Parquet footer statistics are kept in memory
+const FOOTER_STATS_CACHE_SIZE = 10000;
+
+// Comparison operators usable for time bounds, and their mirror image
+const FLIPPED_OPERATORS = { '=': '=', '>': '<', '>=': '<=', '<': '>', '<=': '>=' };
+
+// DuckDB memory sizes, e.g. 512MB or 2GiB
+const MEMORY_SIZE = /^\d+(\.\d+)?\s*(B|KB|MB|GB|TB|KiB|MiB|GiB|TiB)$/i;
+
+/**
+ * Error of a query going over a limit of the client: files or bytes scanned,
+ * result rows or memory
+ */
+export class QueryLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryLimitError';
+    this.status = 422;
+  }
+}
 
 class QueryClient {
-  constructor(dataDir = './data') {
+  /**
+   * @param {string} [dataDir='./data'] - Root of the GigAPI data directory
+   * @param {Object} [options] - Client options
+   * @param {number} [options.insertBatchSize=10000] - Points per Parquet flush when inserting from a stream
+   * @param {number} [options.streamChunkSize=2048] - Rows per chunk when streaming query results
+   * @param {number} [options.defaultTimeRange] - Window in nanoseconds applied to queries without a time bound (disabled by default)
+   * @param {number} [options.metadataCacheTtl=60000] - Milliseconds the file index of a measurement is cached, 0 to disable caching
+   * @param {boolean} [options.watchMetadata=true] - Reload the file index of a measurement when its directory changes
+   * @param {boolean} [options.sandbox=false] - Only run read-only SQL reading files of the data directory (see sqlSandbox.js)
+   * @param {number} [options.queryWorkers=4] - Queries run at once, each on a worker thread (see QueryPool.js)
+   * @param {number} [options.queryTimeout=0] - Milliseconds a query may run, 0 for no limit
+   * @param {number} [options.maxQueuedQueries=100] - Queries that may wait for a worker before new ones are refused
+   * @param {number} [options.maxQueryFiles] - Files a query may scan, after pruning (no limit by default)
+   * @param {number} [options.maxQueryBytes] - Bytes of Parquet files a query may scan, after pruning (no limit by default)
+   * @param {number} [options.maxResultRows] - Rows a query may return (no limit by default)
+   * @param {string} [options.memoryLimit] - DuckDB memory limit of each query worker, e.g. 2GB (DuckDB's default by default)
+   * @param {number} [options.resultCacheEntries=0] - Query results kept in memory (see ResultCache.js), 0 to disable the cache
+   * @param {number} [options.resultCacheBytes=67108864] - Estimated memory cached results may use
+   */
+  constructor(dataDir = './data', options = {}) {
     this.dataDir = dataDir;
     this.db = null;
     this.connection = null;
-    this.defaultTimeRange = 10 * 60 * 1000000000; // 10 minutes in nanoseconds
+    this.writer = null;
+    this.defaultTimeRange = options.defaultTimeRange || null; // e.g. 10 * 60 * 1000000000 for 10 minutes
+    this.insertBatchSize = options.insertBatchSize || 10000;
+    this.streamChunkSize = options.streamChunkSize || 2048;
+    this.sandbox = !!options.sandbox;
+    this.exportDir = null;
+    this.limits = {
+      files: options.maxQueryFiles || null,
+      bytes: options.maxQueryBytes || null,
+      rows: options.maxResultRows || null,
+      memory: options.memoryLimit || null
+    };
+    if (this.limits.memory && !MEMORY_SIZE.test(this.limits.memory)) {
+      throw new Error(`Invalid memory limit: ${this.limits.memory}, expected a size such as 512MB or 2GB`);
+    }
+    this.footerStats = new Map();
+    // Queries that may be reading files, so that compaction doesn't delete the files they replaced
+    this.reads = new Set();
+    this.resultCache = new ResultCache({
+      maxEntries: options.resultCacheEntries,
+      maxBytes: options.resultCacheBytes
+    });
+    this.metadataCatalog = new MetadataCatalog(dataDir, {
+      ttl: options.metadataCacheTtl,
+      watch: options.watchMetadata
+    });
+    // Sandbox settings are added once initialized: the memory limit goes first, as the sandbox
+    // locks the configuration
+    this.pool = new QueryPool({
+      size: options.queryWorkers,
+      timeout: options.queryTimeout,
+      maxQueue: options.maxQueuedQueries,
+      settings: this.limits.memory ? [[`SET memory_limit = '${this.limits.memory}'`]] : []
+    });
   }
 
   async initialize() {
@@ -16,6 +122,17 @@ class QueryClient {
       // Initialize DuckDB client
       this.db = open(':memory:');
       this.connection = this.db.connect();
+      this.writer = new ParquetWriter(this.connection, this.dataDir);
+      // Parquet results are written to a directory of their own before being sent, the
+      // only one besides the data directory the sandbox lets DuckDB use
+      this.exportDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'gigapi-export-'));
+      if (this.sandbox) {
+        const settings = sandboxSettings([this.dataDir, this.exportDir]);
+        applySettings(this.connection, settings);
+        this.pool.settings.push(...settings);
+        console.log(`SQL sandbox enabled, files are only readable under ${path.resolve(this.dataDir)}`);
+      }
+      this.pool.start();
       console.log('Initialized DuckDB for querying');
     } catch (error) {
       console.error('Failed to initialize DuckDB:', error);
@@ -23,194 +140,377 @@ class QueryClient {
     }
   }
 
+  /**
+   * Check SQL sent by a client against the sandbox, when it is enabled
+   * @param {string} sql - SQL text
+   * @throws {SandboxViolationError} - For SQL the sandbox doesn't allow
+   */
+  checkSql(sql) {
+    if (this.sandbox) {
+      checkSandboxedSql(sql, { allowedDirectories: [this.dataDir] });
+    }
+  }
+
+  /**
+   * Run SQL as is, without resolving measurements (for the /sql endpoint).
+   * With the sandbox enabled, only read-only SQL reading the data directory is run.
+   * Each statement runs on whichever worker of the query pool is free, each
+   * with its own in-memory DuckDB: session state (temporary tables, macros,
+   * SET) doesn't carry over from one call to the next.
+   * @param {string} sql - SQL text
+   * @param {Object} [options] - Execution options, as for query()
+   * @returns {Array} - Rows
+   */
+  async runSql(sql, options = {}) {
+    if (!this.connection) {
+      throw new Error('QueryClient not initialized');
+    }
+    this.checkSql(sql);
+    const done = this._trackRead();
+    try {
+      return await this._withWorker(sql, null, options, async lease => this._checkRowCount(await lease.run(sql, [], this.limits.rows)));
+    } finally {
+      done();
+    }
+  }
+
+  /**
+   * Start time of the oldest query still running, which may read files it
+   * listed before they were replaced by compaction
+   * @returns {number|null} - Epoch milliseconds, or null if no query is running
+   */
+  oldestRead() {
+    let oldest = null;
+    for (const read of this.reads) {
+      if (oldest === null || read.startedAt < oldest) oldest = read.startedAt;
+    }
+    return oldest;
+  }
+
+  /**
+   * Count a query as reading files from now on, before it lists them
+   * @private
+   * @returns {Function} - To call once the query is done reading
+   */
+  _trackRead() {
+    const read = { startedAt: Date.now() };
+    this.reads.add(read);
+    return () => this.reads.delete(read);
+  }
+
   /**
    * Parse SQL query to extract important parts
    * @param {string} sql - The SQL query to parse
    * @param {string} dbName - The database name
-   * @returns {Object} - Parsed query components
-   */
-  parseQuery(sql, dbName) {
-    // Normalize whitespace and line breaks
-    sql = sql.replace(/\s+/g, ' ').trim();
-    
-    console.log("Normalized SQL:", sql);
-    
-    // Extract SELECT columns
-    const selectMatch = sql.match(/SELECT\s+(.*?)\s+FROM/i);
-    const columns = selectMatch ? selectMatch[1].trim() : '*';
-
-    // Extract measurement name (table)
-    const fromMatch = sql.match(/FROM\s+(?:(\w+)\.)?(\w+)/i);
-    if (!fromMatch) {
-      throw new Error('Invalid query: FROM clause not found or invalid');
-    }
-    
-    // If db name is in the query, use it, otherwise use the provided dbName
-    const queryDbName = fromMatch[1] || dbName;
-    const measurement = fromMatch[2];
-
-    // Simple extraction of WHERE clause
-    let whereConditions = "";
-    const whereParts = sql.split(/\s+WHERE\s+/i);
-    
-    if (whereParts.length >= 2) {
-      whereConditions = whereParts[1];
-      
-      // Remove other clauses if they exist
-      const endClauseKeywords = [" GROUP BY ", " ORDER BY ", " LIMIT ", " HAVING "];
-      
-      for (const keyword of endClauseKeywords) {
-        const keywordIndex = whereConditions.toUpperCase().indexOf(keyword);
-        if (keywordIndex !== -1) {
-          whereConditions = whereConditions.substring(0, keywordIndex);
-        }
-      }
+   * @param {Array|Object} [params] - Values of the query's `$1`/`?` (array) or `$name` (object) placeholders
+   * @param {BigInt} [now] - Current time in nanoseconds, used to resolve relative time conditions
+   * @returns {Object} - Parsed query components, with the AST and the measurements it references
+   */
+  parseQuery(sql, dbName, params, now = BigInt(Date.now()) * 1000000n) {
+    const ast = parseSql(sql);
+    if (ast.type === 'other') {
+      const error = new Error(`Invalid query: ${ast.keyword} statements are not supported`);
+      error.status = 400;
+      throw error;
     }
-    
-    console.log("Extracted WHERE conditions:", whereConditions);
 
-    // Extract time range
-    let timeRange = { start: null, end: null, timeCondition: null };
+    // Every table reference that isn't a CTE is a measurement, optionally qualified with its database
+    const references = collectTableReferences(ast)
+      .filter(node => !SYSTEM_SCHEMAS.has((node.schema || '').toLowerCase()));
 
-    // Extract other clauses
-    const orderBy = sql.match(/ORDER\s+BY\s+(.*?)(?:\s+(?:LIMIT|GROUP|HAVING|$))/i)?.[1] || '';
-    const groupBy = sql.match(/GROUP\s+BY\s+(.*?)(?:\s+(?:ORDER|LIMIT|HAVING|$))/i)?.[1] || '';
-    const having = sql.match(/HAVING\s+(.*?)(?:\s+(?:ORDER|LIMIT|$))/i)?.[1] || '';
-    const limitMatch = sql.match(/LIMIT\s+(\d+)/i);
-    const limit = limitMatch ? parseInt(limitMatch[1]) : null;
+    if (!references.length) {
+      const error = new Error('Invalid query: FROM clause not found or invalid');
+      error.status = 400;
+      throw error;
+    }
 
-    console.log('Parsed SQL components:', {
-      columns,
-      dbName: queryDbName,
-      measurement,
-      whereConditions,
-      orderBy, 
-      groupBy,
-      having,
-      limit
+    const parameters = this._resolveParameters(ast, sql, params);
+
+    // A reference is filtered by the WHERE clause of the SELECT listing it in its FROM clause
+    const owners = new Map();
+    walk(ast, (node) => {
+      if (node.type === 'select') {
+        for (const table of fromTables(node)) owners.set(table, node);
+      }
     });
 
-    return {
-      columns,
-      dbName: queryDbName,
-      measurement,
-      timeRange,
-      whereConditions,
-      orderBy,
-      groupBy,
-      having,
-      limit
+    // Extract the time range of each relation, used to prune its partitions and files
+    const tables = references.map(node => {
+      const name = (node.alias ? node.alias.name : node.name).toLowerCase();
+      const owner = owners.get(node);
+      // Unqualified time columns apply to every relation of the FROM clause, qualified ones only to theirs
+      const appliesTo = column => column.parts.length < 2 || column.parts[column.parts.length - 2].toLowerCase() === name;
+      const timeRange = this._extractTimeRange(owner?.where, sql, now, appliesTo, parameters);
+      // Other unqualified columns may belong to another relation of the FROM clause,
+      // so they only prune the files of a relation alone in it
+      const alone = !!owner && owner.from.length === 1 && owner.from[0] === node;
+      const owns = column => (column.parts.length < 2 ? alone : appliesTo(column));
+
+      return {
+        node,
+        name,
+        dbName: node.schema || dbName,
+        measurement: node.name,
+        timeRange: this._applyDefaultTimeRange(timeRange, now),
+        // Predicates on other columns, used to prune files with column statistics
+        predicates: extractColumnPredicates(owner?.where, owns, parameters)
+      };
+    });
+
+    // Clause summaries describe the first SELECT
+    const select = primarySelect(ast);
+    const query = ast.type === 'explain' ? ast.query : ast;
+    const text = node => node ? nodeText(sql, node) : '';
+    const listText = list => list === 'ALL' ? 'ALL' : (list || []).map(text).join(', ');
+
+    const components = {
+      columns: listText(select?.columns) || '*',
+      dbName: tables[0].dbName,
+      measurement: tables[0].measurement,
+      relations: tables.map(table => ({
+        name: table.name,
+        measurement: `${table.dbName}.${table.measurement}`,
+        timeRange: table.timeRange
+      })),
+      timeRange: tables[0].timeRange,
+      whereConditions: text(select?.where),
+      orderBy: listText(query.orderBy),
+      groupBy: listText(select?.groupBy),
+      having: text(select?.having),
+      limit: query.limit?.type === 'literal' ? parseInt(query.limit.value) : null
     };
+
+    console.log('Parsed SQL components:', components);
+
+    return { ...components, ast, tables, parameters, now };
   }
 
   /**
-   * Extract time range from SQL query
+   * Extract time range from the WHERE clause of a query
+   *
+   * Only predicates ANDed at the top level of the WHERE clause narrow the
+   * range; a time predicate under OR or NOT can't be used for pruning.
+   * `appliesTo` selects the time columns belonging to the relation being pruned.
+   * Bounds may be ISO literals, epoch nanosecond integers or relative
+   * expressions such as `now() - interval '1 hour'` and `now() - 15m`; all of
+   * them are resolved against the same `now` so that pruning and the rewritten
+   * predicates agree.
    * @private
    */
-  _extractTimeRange(sql, whereClause = '') {
-    // If no WHERE clause was provided, try to extract it from the SQL
-    if (!whereClause) {
-      const whereMatch = sql.match(/\bWHERE\s+(.*?)(?:\s+(?:GROUP\s+BY|ORDER\s+BY|LIMIT|HAVING|$))/i);
-      whereClause = whereMatch ? whereMatch[1].trim() : '';
-    }
-    
-    // Common time patterns in InfluxQL/SQL
-    const timePatterns = [
-      // time >= '2023-01-01T00:00:00'
-      /time\s*(>=|>)\s*'([^']+)'/i,
-      // time <= '2023-01-01T00:00:00'
-      /time\s*(<=|<)\s*'([^']+)'/i,
-      // time = '2023-01-01T00:00:00'
-      /time\s*=\s*'([^']+)'/i,
-      // time BETWEEN '2023-01-01T00:00:00' AND '2023-01-02T00:00:00'
-      /time\s+BETWEEN\s+'([^']+)'\s+AND\s+'([^']+)'/i
-    ];
-
+  _extractTimeRange(where, sql, now = BigInt(Date.now()) * 1000000n, appliesTo = () => true, parameters = new Map()) {
     let start = null;
     let end = null;
-    let timeCondition = null;
-    let userSpecifiedTimeCondition = false;
-
-    // Check for BETWEEN pattern first
-    const betweenMatch = whereClause.match(timePatterns[3]);
-    if (betweenMatch) {
-      start = new Date(betweenMatch[1]).getTime() * 1000000; // Convert to nanoseconds
-      end = new Date(betweenMatch[2]).getTime() * 1000000;
-      timeCondition = `time BETWEEN '${betweenMatch[1]}' AND '${betweenMatch[2]}'`;
-      userSpecifiedTimeCondition = true;
-    } else {
-      // Check for >= or > pattern
-      const startMatch = whereClause.match(timePatterns[0]);
-      if (startMatch) {
-        start = new Date(startMatch[2]).getTime() * 1000000;
-        timeCondition = `time ${startMatch[1]} '${startMatch[2]}'`;
-        userSpecifiedTimeCondition = true;
-      }
+    const conditions = [];
 
-      // Check for <= or < pattern
-      const endMatch = whereClause.match(timePatterns[1]);
-      if (endMatch) {
-        end = new Date(endMatch[2]).getTime() * 1000000;
-        // If we already have a time condition, we need to combine them
-        if (timeCondition) {
-          timeCondition = `${timeCondition} AND time ${endMatch[1]} '${endMatch[2]}'`;
-        } else {
-          timeCondition = `time ${endMatch[1]} '${endMatch[2]}'`;
-        }
-        userSpecifiedTimeCondition = true;
-      }
+    for (const predicate of conjuncts(where)) {
+      const bounds = this._resolveTimePredicate(predicate, sql, now, parameters);
+      if (!bounds || !appliesTo(bounds.column)) continue;
 
-      // Check for = pattern
-      const equalMatch = whereClause.match(timePatterns[2]);
-      if (equalMatch) {
-        const exactTime = new Date(equalMatch[1]).getTime() * 1000000;
-        start = exactTime;
-        end = exactTime;
-        timeCondition = `time = '${equalMatch[1]}'`;
-        userSpecifiedTimeCondition = true;
-      }
+      if (bounds.start !== null && (start === null || bounds.start > start)) start = bounds.start;
+      if (bounds.end !== null && (end === null || bounds.end < end)) end = bounds.end;
+      conditions.push(bounds.condition);
     }
 
     // If no time range is specified, don't apply a default time filter
-    if (!userSpecifiedTimeCondition) {
+    if (start === null && end === null) {
       // Return null for both start and end to indicate all files should be considered
       return { start: null, end: null, timeCondition: null };
-    } else if (start && !end) {
+    } else if (end === null) {
       // If only start is specified, set end to now
-      end = Date.now() * 1000000;
-    } else if (!start && end) {
+      end = now;
+    } else if (start === null) {
       // If only end is specified, set start to earliest possible
-      start = 0;
+      start = 0n;
     }
 
-    return { start, end, timeCondition };
+    return { start: Number(start), end: Number(end), timeCondition: conditions.join(' AND ') };
   }
 
   /**
-   * Extract WHERE conditions excluding time
+   * Without a time bound, only look at the most recent window of data
+   * when a default time range is configured
    * @private
    */
-  _extractWhereConditions(whereClause, timeCondition) {
-    if (!whereClause) return '';
-
-    let conditions = whereClause;
-    console.log('Processing WHERE clause:', conditions);
-    
-    // Remove the time condition if it exists
-    if (timeCondition) {
-      const timeConditionWithoutQuotes = timeCondition.replace(/'/g, '');
-      const timeConditionPattern = new RegExp(timeConditionWithoutQuotes.replace(/([()[{*+.$^\\|?])/g, '\\$1'), 'i');
-      conditions = conditions.replace(timeConditionPattern, '');
-      
-      // Also try to remove other time patterns
-      conditions = conditions.replace(/time\s*(>=|>|<=|<|=|BETWEEN)\s*'[^']+'\s*(AND\s*time\s*(>=|>|<=|<|=)\s*'[^']+')?\s*(AND|OR)?/gi, '');
+  _applyDefaultTimeRange(timeRange, now) {
+    if (timeRange.start !== null || timeRange.end !== null || !this.defaultTimeRange) {
+      return timeRange;
     }
-    
-    // Clean up leftover AND/OR operators
-    conditions = conditions.replace(/^\s*(AND|OR)\s+/i, '').replace(/\s+(AND|OR)\s*$/i, '').trim();
-    
-    console.log('Extracted non-time WHERE conditions:', conditions);
-    return conditions;
+    return { start: Number(now) - this.defaultTimeRange, end: Number(now), timeCondition: null, defaulted: true };
+  }
+
+  /**
+   * Resolve a `time <op> <expr>` (either way around) or `time BETWEEN <expr> AND <expr>`
+   * predicate to nanosecond bounds
+   * @private
+   * @returns {Object|null} - {start, end, condition, column} with BigInt bounds, or null if the
+   *   expression isn't a time predicate with resolvable bounds
+   */
+  _resolveTimePredicate(expr, sql, now, parameters) {
+    if (expr.type === 'between' && !expr.not && isColumn(expr.expr, 'time')) {
+      const low = resolveTimeExpression(this._boundText(sql, expr.low, parameters), now);
+      const high = resolveTimeExpression(this._boundText(sql, expr.high, parameters), now);
+      if (low === null || high === null) return null;
+
+      return { start: low, end: high, condition: `${nodeText(sql, expr.expr)} BETWEEN ${low} AND ${high}`, column: expr.expr };
+    }
+
+    if (expr.type !== 'binary' || !(expr.operator in FLIPPED_OPERATORS)) {
+      return null;
+    }
+
+    let { operator, left: column, right: bound } = expr;
+    if (!isColumn(column, 'time')) {
+      if (!isColumn(bound, 'time')) return null;
+      // now() - 1h < time is time > now() - 1h
+      [column, bound] = [bound, column];
+      operator = FLIPPED_OPERATORS[operator];
+    }
+
+    const value = resolveTimeExpression(this._boundText(sql, bound, parameters), now);
+    if (value === null) return null;
+
+    return {
+      start: operator.startsWith('>') || operator === '=' ? value : null,
+      end: operator.startsWith('<') || operator === '=' ? value : null,
+      condition: `${nodeText(sql, column)} ${operator} ${value}`,
+      column
+    };
+  }
+
+  /**
+   * Source text of a time bound, with unquoted ISO timestamps quoted and
+   * placeholders replaced by their value (integers as epoch nanoseconds,
+   * strings as time literals)
+   * @private
+   */
+  _boundText(sql, node, parameters) {
+    if (node.type === 'param') {
+      const value = parameters?.get(node);
+      if (typeof value === 'bigint' || (typeof value === 'number' && Number.isInteger(value))) return String(value);
+      if (typeof value !== 'string') return '';
+      return /^-?\d+$/.test(value) ? value : `'${value.replace(/'/g, "''")}'`;
+    }
+    return node.type === 'literal' && node.kind === 'timestamp' ? `'${node.value}'` : nodeText(sql, node);
+  }
+
+  /**
+   * Match the placeholders of a query with their values: `$1` and `?` take
+   * values from a params array, `$name` from a params object
+   * @private
+   * @returns {Map} - Value per placeholder node
+   */
+  _resolveParameters(ast, sql, params) {
+    const nodes = [];
+    walk(ast, (node) => {
+      if (node.type === 'param') nodes.push(node);
+    });
+    nodes.sort((a, b) => a.start - b.start);
+
+    const values = new Map();
+    let position = 0;
+    for (const node of nodes) {
+      const key = node.name === '?' ? position++ : /^\d+$/.test(node.name) ? parseInt(node.name) - 1 : node.name;
+      const source = (typeof key === 'number') === Array.isArray(params) ? params : null;
+      const value = source ? source[key] : undefined;
+
+      if (value === undefined || (value !== null && typeof value === 'object')) {
+        const error = new Error(value === undefined
+          ? `Missing value for query parameter ${nodeText(sql, node)}`
+          : `Invalid value for query parameter ${nodeText(sql, node)}: only strings, numbers, booleans and null can be bound`);
+        error.status = 400;
+        throw error;
+      }
+      values.set(node, value);
+    }
+    return values;
+  }
+
+  /**
+   * Build the SQL run by DuckDB: measurement references are replaced with their
+   * Parquet sources and time bounds with the nanosecond values used for pruning
+   * @private
+   * @param {string} sql - Original SQL
+   * @param {Object} parsed - Result of parseQuery
+   * @param {Map} sources - SQL source per table reference node
+   * @returns {Object} - DuckDB SQL and the values bound to its `$n` placeholders
+   */
+  _buildDuckdbQuery(sql, parsed, sources) {
+    const edits = [];
+    const placeholders = [];
+
+    walk(parsed.ast, (node) => {
+      if (node.type === 'param') {
+        placeholders.push(node);
+      } else if (node.type === 'between' || node.type === 'binary') {
+        const predicate = this._resolveTimePredicate(node, sql, parsed.now, parsed.parameters);
+        if (predicate) {
+          edits.push({ start: node.start, end: node.end, text: predicate.condition });
+        }
+      } else if (node.type === 'literal' && node.kind === 'duration') {
+        // DuckDB has no InfluxQL duration literals
+        edits.push({ start: node.start, end: node.end, text: `INTERVAL '${parseDuration(node.value) / 1000n} microseconds'` });
+      } else if (node.type === 'literal' && node.kind === 'timestamp') {
+        // Unquoted ISO timestamps
+        edits.push({ start: node.start, end: node.end, text: `'${node.value}'` });
+      }
+    });
+
+    for (const { node, measurement } of parsed.tables) {
+      const source = sources.get(node);
+      edits.push({
+        start: node.nameStart,
+        end: node.nameEnd,
+        // Keep the measurement name usable as a qualifier
+        text: node.alias ? source : `${source} AS ${quoteIdentifier(measurement)}`
+      });
+    }
+
+    // Placeholders left after time bounds were inlined are renumbered as $1..$n,
+    // repeated names sharing one value
+    const values = [];
+    const positions = new Map();
+    const inlined = node => edits.some(edit => edit.start <= node.start && node.end <= edit.end);
+    for (const node of placeholders.filter(node => !inlined(node)).sort((a, b) => a.start - b.start)) {
+      const key = node.name === '?' ? node : node.name;
+      if (!positions.has(key)) {
+        values.push(parsed.parameters.get(node));
+        positions.set(key, values.length);
+      }
+      edits.push({ start: node.start, end: node.end, text: `$${positions.get(key)}` });
+    }
+
+    // Only the statement itself, so it can be embedded (e.g. in COPY)
+    return { sql: applyEdits(sql.slice(0, parsed.ast.end), edits), values };
+  }
+
+  /**
+   * SQL source with the columns of a measurement but no rows
+   * @private
+   */
+  async _emptyParquetSource(dbName, measurement) {
+    const files = await this.findRelevantFiles(dbName, measurement, { start: null, end: null });
+    if (!files.length) {
+      const error = new Error(`Measurement not found: ${dbName}.${measurement}`);
+      error.status = 404;
+      throw error;
+    }
+
+    console.log(`No relevant files found for ${dbName}.${measurement} in its time range, using an empty relation`);
+    return `(SELECT * FROM ${this._parquetSource(files.slice(-1), {})} LIMIT 0)`;
+  }
+
+  /**
+   * SQL source reading a set of Parquet files
+   * @private
+   */
+  _parquetSource(files, timeRange) {
+    // The date= and hour= directories are not columns of the measurement
+    const source = `read_parquet([${files.map(f => `'${f.replace(/'/g, "''")}'`).join(', ')}], union_by_name = true, hive_partitioning = false)`;
+    if (!timeRange.defaulted) {
+      return source;
+    }
+    // Rows of files overlapping the default window must not leak outside of it
+    return `(SELECT * FROM ${source} WHERE time BETWEEN ${timeRange.start} AND ${timeRange.end})`;
   }
 
   /**
@@ -221,624 +521,828 @@ class QueryClient {
    * @returns {Array} - Array of file paths
    */
   async findRelevantFiles(dbName, measurement, timeRange) {
-    const { start, end } = timeRange;
-    
-    // If no time range is specified, include all files for the measurement
-    if (start === null && end === null) {
-      return await this._findAllFiles(dbName, measurement);
-    }
-    
-    // Convert nanosecond timestamps to Date objects for directory parsing
-    const startDate = new Date(start / 1000000);
-    const endDate = new Date(end / 1000000);
-    
-    // Find files using date structure if available, otherwise find all files
-    let relevantFiles = [];
-    
+    const relevantFiles = await this.metadataCatalog.findFiles(dbName, measurement, timeRange);
+    console.log(`Found ${relevantFiles.length} relevant files for the query`);
+    return relevantFiles;
+  }
+
+  /**
+   * List the databases of the data directory
+   * @returns {Array} - Database names, sorted
+   */
+  async listDatabases() {
+    return this._listDirectories(this.dataDir);
+  }
+
+  /**
+   * List the measurements of a database
+   * @param {string} dbName - Database name
+   * @returns {Array} - Measurement names, sorted
+   */
+  async listMeasurements(dbName) {
+    checkName(dbName);
+    return this._listDirectories(path.join(this.dataDir, dbName));
+  }
+
+  /**
+   * Names of the subdirectories of a directory, skipping hidden ones
+   * @private
+   */
+  async _listDirectories(dirPath) {
     try {
-      // First try using expected Hive structure (date=*/hour=*)
-      relevantFiles = await this._findFilesByHiveStructure(dbName, measurement, startDate, endDate, start, end);
-      
-      // If we didn't find any files, try a more generic approach
-      if (relevantFiles.length === 0) {
-        console.log(`No files found using Hive structure, trying recursive search...`);
-        
-        // Find all files and filter by time range
-        const allFiles = [];
-        const basePath = path.join(this.dataDir, dbName, measurement);
-        await this._findMetadataFilesRecursively(basePath, allFiles, start, end);
-        
-        relevantFiles = allFiles;
-      }
+      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => entry.name)
+        .sort();
     } catch (error) {
-      console.error(`Error finding relevant files:`, error);
+      if (error.code === 'ENOENT') return [];
+      throw error;
     }
-    
-    console.log(`Found ${relevantFiles.length} relevant files for the query`);
-    return relevantFiles;
   }
-  
+
+  /**
+   * Get the columns of a measurement, across all of its files
+   * @param {string} dbName - Database name
+   * @param {string} measurement - Measurement name
+   * @returns {Array|null} - Columns as {name, type, kind}, kind being time, tag or field,
+   *   or null if the measurement has no files
+   */
+  async describeMeasurement(dbName, measurement) {
+    const schema = await this.measurementSchema(dbName, measurement);
+    return schema ? schema.columns : null;
+  }
+
+  /**
+   * Get the schema of a measurement: its columns merged across all of its
+   * files (as read with union_by_name), which of them are tags and fields,
+   * and the totals and time range recorded in its metadata.json files
+   * @param {string} dbName - Database name
+   * @param {string} measurement - Measurement name
+   * @returns {Object|null} - Schema, or null if the measurement has no files; it is
+   *   shared between callers, so it must not be modified
+   */
+  async measurementSchema(dbName, measurement) {
+    checkName(dbName);
+    checkName(measurement);
+
+    // Kept with the index of the measurement, so it is read again once the index is reloaded
+    const index = await this.metadataCatalog.getMeasurement(dbName, measurement);
+    if (!index.schema) {
+      const done = this._trackRead();
+      index.schema = this._readSchema(index).finally(done);
+      index.schema.catch(() => {
+        index.schema = null;
+      });
+    }
+    return index.schema;
+  }
+
   /**
-   * Find files using Hive partitioning structure
+   * Read the schema of a measurement from its index and the footers of its files
    * @private
    */
-  async _findFilesByHiveStructure(dbName, measurement, startDate, endDate, startNs, endNs) {
-    const relevantFiles = [];
-    
-    // Get all date directories that might contain relevant data
-    const dateDirectories = await this._getDateDirectoriesInRange(dbName, measurement, startDate, endDate);
-    
-    for (const dateDir of dateDirectories) {
-      // For each date directory, get all hour directories
-      const datePath = path.join(this.dataDir, dbName, measurement, dateDir);
-      const hourDirs = await this._getHourDirectoriesInRange(datePath, startDate, endDate);
-      
-      for (const hourDir of hourDirs) {
-        const hourPath = path.join(datePath, hourDir);
-        
-        try {
-          // Read metadata for this hour
-          const metadataPath = path.join(hourPath, 'metadata.json');
-          if (!fs.existsSync(metadataPath)) continue;
-          
-          const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
-          
-          // Skip if metadata time range doesn't overlap with requested time range
-          if (startNs !== null && endNs !== null && (metadata.max_time < startNs || metadata.min_time > endNs)) continue;
-          
-          // Add relevant files
-          for (const file of metadata.files) {
-            // Apply time range filtering if specified
-            if (startNs === null || endNs === null || (file.max_time >= startNs && file.min_time <= endNs)) {
-              // Check if file exists
-              if (fs.existsSync(file.path)) {
-                relevantFiles.push(file.path);
-              } else {
-                // If the path in metadata doesn't exist, try to resolve it relative to the current directory
-                const localPath = path.join(hourPath, path.basename(file.path));
-                if (fs.existsSync(localPath)) {
-                  relevantFiles.push(localPath);
-                } else {
-                  console.log(`File not found at either path: ${file.path} or ${localPath}`);
-                }
-              }
-            }
-          }
-        } catch (error) {
-          if (error.code !== 'ENOENT') {
-            console.error(`Error reading metadata for ${hourPath}:`, error);
-          }
-        }
-      }
+  async _readSchema({ dbName, measurement, partitions: indexed }) {
+    const files = indexed.flatMap(partition => partition.files.map(file => file.path));
+    if (!files.length) {
+      return null;
     }
-    
-    return relevantFiles;
+
+    const partitions = indexed.filter(partition => partition.metadata).map(partition => partition.metadata);
+    const tags = new Set(partitions.flatMap(metadata => metadata.tags || []));
+    const fields = new Set(partitions.flatMap(metadata => metadata.fields || []));
+    const times = partitions.filter(metadata => metadata.min_time !== null && metadata.min_time !== undefined);
+
+    // Columns of files written without tag and field keys are told apart by
+    // type: line protocol tags are always text
+    const kindOf = (column) => {
+      if (column.name === 'time') return 'time';
+      if (fields.has(column.name)) return 'field';
+      if (tags.has(column.name)) return 'tag';
+      return parseDuckdbType(column.type).id === 'VARCHAR' ? 'tag' : 'field';
+    };
+
+    const describeSql = `DESCRIBE SELECT * FROM ${this._parquetSource(files, {})}`;
+    const columns = (await this._withWorker(describeSql, dbName, {}, lease => lease.run(describeSql)))
+      .map(column => ({ name: column.column_name, type: column.column_type }))
+      .map(column => ({ ...column, kind: kindOf(column) }));
+
+    return {
+      database: dbName,
+      measurement,
+      columns,
+      tags: columns.filter(column => column.kind === 'tag').map(column => column.name),
+      fields: columns.filter(column => column.kind === 'field').map(column => column.name),
+      time_range: {
+        min_time: times.length ? Math.min(...times.map(metadata => metadata.min_time)) : null,
+        max_time: times.length ? Math.max(...times.map(metadata => metadata.max_time)) : null
+      },
+      file_count: files.length,
+      row_count: partitions.reduce((sum, metadata) => sum + (metadata.row_count || 0), 0),
+      size_bytes: partitions.reduce((sum, metadata) => sum + (metadata.parquet_size_bytes || 0), 0)
+    };
   }
-  
+
   /**
-   * Recursively find metadata files and extract relevant parquet files
+   * Skip the files of a relation that can't hold rows matching its
+   * predicates on columns other than time, using the column statistics in
+   * metadata.json or, for files without them, the Parquet footer
    * @private
+   * @param {Object} [options] - Query options, with the signal and timeout of the query
+   * @returns {Array} - File paths that may match
    */
-  async _findMetadataFilesRecursively(dirPath, filesList, startNs, endNs) {
-    try {
-      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-      
-      // Look for metadata.json
-      const metadataEntry = entries.find(entry => entry.isFile() && entry.name === 'metadata.json');
-      
-      if (metadataEntry) {
-        // Use metadata to find parquet files
-        const metadataPath = path.join(dirPath, 'metadata.json');
-        try {
-          const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
-          
-          // Check if metadata time range overlaps with requested time range
-          if (startNs !== null && endNs !== null) {
-            if (metadata.max_time < startNs || metadata.min_time > endNs) {
-              // Skip this directory if time ranges don't overlap
-              return;
-            }
-          }
-          
-          // Process files in metadata
-          if (metadata.files && Array.isArray(metadata.files)) {
-            for (const file of metadata.files) {
-              // Apply time range filtering if specified
-              if (startNs === null || endNs === null || 
-                 (file.max_time >= startNs && file.min_time <= endNs)) {
-                
-                // Try the exact path in metadata
-                if (fs.existsSync(file.path)) {
-                  filesList.push(file.path);
-                } else {
-                  // Try local path relative to metadata file
-                  const localPath = path.join(dirPath, path.basename(file.path));
-                  if (fs.existsSync(localPath)) {
-                    filesList.push(localPath);
-                  } else {
-                    console.log(`File not found at either path: ${file.path} or ${localPath}`);
-                  }
-                }
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error reading metadata at ${metadataPath}:`, error);
-        }
-      } else {
-        // If no metadata.json, collect all parquet files in this directory
-        for (const entry of entries) {
-          if (entry.isFile() && entry.name.endsWith('.parquet')) {
-            filesList.push(path.join(dirPath, entry.name));
-          }
-        }
-      }
-      
-      // Recursively check subdirectories
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          await this._findMetadataFilesRecursively(path.join(dirPath, entry.name), filesList, startNs, endNs);
-        }
+  async _pruneByStats(table, files, options = {}) {
+    if (!table.predicates.length || !files.length) {
+      return files;
+    }
+
+    const { partitions } = await this.metadataCatalog.getMeasurement(table.dbName, table.measurement);
+    const entries = new Map(partitions.flatMap(partition => partition.files.map(file => [file.path, file])));
+    const lowercase = stats => Object.fromEntries(Object.entries(stats).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const footerStats = await this._readFooterStats(files.filter(file => !entries.get(file)?.column_stats), table.dbName, options);
+
+    const remaining = files.filter((file) => {
+      const entry = entries.get(file);
+      if (entry && entry.column_stats) {
+        return statsCanMatch(lowercase(entry.column_stats), table.predicates);
       }
-    } catch (error) {
-      console.error(`Error reading directory ${dirPath}:`, error);
+
+      // Without statistics for every row group, the file must be read
+      const rowGroups = footerStats.get(file);
+      return !rowGroups || !rowGroups.length || rowGroups.some(stats => statsCanMatch(stats, table.predicates));
+    });
+
+    if (remaining.length < files.length) {
+      console.log(`Skipped ${files.length - remaining.length} of ${files.length} files of ${table.dbName}.${table.measurement} using column statistics`);
     }
+    return remaining;
   }
-  
+
   /**
-   * Find all files for a measurement regardless of time range
+   * Read the row group statistics of Parquet files from their footers.
+   * Files are never rewritten in place, so statistics are cached per path.
    * @private
+   * @returns {Map} - Per file, a list of statistics per lowercase column name for each row group
    */
-  async _findAllFiles(dbName, measurement) {
-    const allFiles = [];
-    const basePath = path.join(this.dataDir, dbName, measurement);
-    
-    if (!fs.existsSync(basePath)) {
-      console.log(`Measurement path does not exist: ${basePath}`);
-      return allFiles;
+  async _readFooterStats(files, dbName = null, options = {}) {
+    const result = new Map();
+    const missing = files.filter(file => {
+      if (!this.footerStats.has(file)) return true;
+      result.set(file, this.footerStats.get(file));
+      return false;
+    });
+    if (!missing.length) {
+      return result;
     }
-    
+
+    const sql = 'SELECT file_name, row_group_id, path_in_schema, type, converted_type, stats_min_value, stats_max_value ' +
+      `FROM parquet_metadata([${missing.map(f => `'${f.replace(/'/g, "''")}'`).join(', ')}])`;
+    let rows;
     try {
-      console.log(`Searching for files in: ${basePath}`);
-      
-      // Recursively find all parquet files and metadata.json files
-      await this._findFilesRecursively(basePath, allFiles);
-      
-      console.log(`Found ${allFiles.length} total files for ${dbName}.${measurement}`);
-      return allFiles;
+      rows = await this._withWorker(sql, dbName, options, lease => lease.run(sql));
     } catch (error) {
-      console.error(`Error finding all files for ${measurement}:`, error);
-      return [];
+      if (error instanceof QueryCancelledError) throw error;
+      console.error('Failed to read Parquet statistics:', error.message);
+      return result;
     }
+
+    const byFile = new Map(missing.map(file => [file, new Map()]));
+    for (const row of rows) {
+      const rowGroups = byFile.get(row.file_name);
+      if (!rowGroups) continue;
+      if (!rowGroups.has(row.row_group_id)) rowGroups.set(row.row_group_id, {});
+
+      const type = footerStatsType(row);
+      if (type && row.stats_min_value !== null && row.stats_max_value !== null) {
+        rowGroups.get(row.row_group_id)[row.path_in_schema.toLowerCase()] = { type, min: row.stats_min_value, max: row.stats_max_value };
+      }
+    }
+
+    for (const [file, rowGroups] of byFile) {
+      // Keep the cache bounded, dropping the oldest entries first
+      if (this.footerStats.size >= FOOTER_STATS_CACHE_SIZE) {
+        this.footerStats.delete(this.footerStats.keys().next().value);
+      }
+      this.footerStats.set(file, [...rowGroups.values()]);
+      result.set(file, this.footerStats.get(file));
+    }
+    return result;
   }
-  
+
   /**
-   * Recursively find all parquet files and read metadata.json files
-   * @private
+   * Turn a query into the SQL DuckDB runs, with every measurement reference
+   * resolved to the Parquet files of its time range
+   * @param {string} sql - SQL query
+   * @param {string} dbName - Database name
+   * @param {Object} [options] - Query options
+   * @param {Array|Object} [options.params] - Values bound to the query's placeholders
+   * @param {Function} [options.canRead] - Whether the databases a query references may be read
+   * @returns {Object|null} - {sql, values, parsed, files}, or null if no files can match the query
+   * @throws {QueryLimitError} - If the query would scan more files or bytes than allowed
    */
-  async _findFilesRecursively(dirPath, filesList) {
-    try {
-      const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
-      
-      // First look for metadata.json
-      const metadataEntry = entries.find(entry => entry.isFile() && entry.name === 'metadata.json');
-      
-      if (metadataEntry) {
-        console.log(`Found metadata.json in ${dirPath}`);
-        // Use metadata to find parquet files
-        const metadataPath = path.join(dirPath, 'metadata.json');
-        try {
-          const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
-          
-          if (metadata.files && Array.isArray(metadata.files)) {
-            for (const file of metadata.files) {
-              if (fs.existsSync(file.path)) {
-                console.log(`Adding file from metadata: ${file.path}`);
-                filesList.push(file.path);
-              } else {
-                console.log(`File from metadata doesn't exist: ${file.path}`);
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error reading metadata at ${metadataPath}:`, error);
+  async prepareQuery(sql, dbName = 'mydb', options = {}) {
+    await this._checkQuerySql(sql, options.canRead);
+
+    // SHOW and DESCRIBE are answered from the data directory
+    const catalogStatement = parseCatalogStatement(sql);
+    if (catalogStatement) {
+      const { columns, rows } = await catalogResult(this, catalogStatement, dbName, options.canRead);
+      return { sql: catalogSql(columns, rows), values: [], parsed: { catalog: catalogStatement, timeRange: null } };
+    }
+
+    let parsed = this.parseQuery(sql, dbName, options.params);
+
+    // time_bucket_gapfill() needs the bounds of its time range, so it's expanded
+    // first and the expanded query is parsed again with the same `now`
+    const gapfilled = expandGapfill(sql, parsed);
+    if (gapfilled) {
+      console.log('Expanded time_bucket_gapfill() query:', gapfilled);
+      sql = gapfilled;
+      parsed = this.parseQuery(sql, dbName, options.params, parsed.now);
+    }
+
+    // Names become paths under the data directory, so none may reach outside of its database
+    for (const table of parsed.tables) {
+      checkName(table.dbName);
+      checkName(table.measurement);
+    }
+
+    if (options.canRead) {
+      for (const table of parsed.tables) {
+        if (!options.canRead(table.dbName)) {
+          throw new AuthError(`Not allowed to read database ${table.dbName}`, 403);
         }
       }
-      
-      // Then look for parquet files directly in this directory
-      for (const entry of entries) {
-        if (entry.isFile() && entry.name.endsWith('.parquet')) {
-          const filePath = path.join(dirPath, entry.name);
-          console.log(`Adding parquet file: ${filePath}`);
-          filesList.push(filePath);
-        }
+    }
+
+    // Resolve every relation the query references to the files of its own time range
+    const sources = new Map();
+    const filesByRange = new Map();
+    const scanned = new Map();
+    for (const table of parsed.tables) {
+      const key = `${table.dbName}.${table.measurement}`;
+      const rangeKey = `${key}:${table.timeRange.start}:${table.timeRange.end}`;
+      if (!filesByRange.has(rangeKey)) {
+        filesByRange.set(rangeKey, await this.findRelevantFiles(table.dbName, table.measurement, table.timeRange));
       }
-      
-      // Recursively check subdirectories
-      for (const entry of entries) {
-        if (entry.isDirectory()) {
-          const subdirPath = path.join(dirPath, entry.name);
-          console.log(`Checking subdirectory: ${subdirPath}`);
-          await this._findFilesRecursively(subdirPath, filesList);
-        }
+
+      const files = await this._pruneByStats(table, filesByRange.get(rangeKey), options);
+      if (files.length) {
+        console.log(`Found ${files.length} relevant files for ${key} (${table.name})`);
+        for (const file of files) scanned.set(file, table);
+        sources.set(table.node, this._parquetSource(files, table.timeRange));
+        continue;
       }
-    } catch (error) {
-      console.error(`Error reading directory ${dirPath}:`, error);
+
+      if (parsed.tables.length === 1 && !gapfilled) {
+        console.log(`No relevant files found for ${key}`);
+        return null;
+      }
+
+      // Other relations may still have rows (e.g. in a UNION or outer join), and gap
+      // filled queries return their buckets without rows, so keep this one queryable
+      // as an empty relation with the measurement's columns
+      sources.set(table.node, await this._emptyParquetSource(table.dbName, table.measurement));
     }
+
+    await this._checkScanLimits(scanned);
+
+    const { sql: duckdbQuery, values } = this._buildDuckdbQuery(sql, parsed, sources);
+    return { sql: duckdbQuery, values, parsed, files: [...scanned.keys()] };
   }
-  
+
   /**
-   * Get all date directories that might contain data in the given time range
+   * Check the SQL of a query against the sandbox. Callers that can't read
+   * every database are always sandboxed to the databases they can read, as
+   * file functions (e.g. read_parquet() in a subquery) would otherwise reach
+   * the files of any other one.
    * @private
+   * @param {string} sql - SQL text
+   * @param {Function} [canRead] - Whether a database may be read
    */
-  async _getDateDirectoriesInRange(dbName, measurement, startDate, endDate) {
-    const basePath = path.join(this.dataDir, dbName, measurement);
-    if (!fs.existsSync(basePath)) return [];
-    
-    const allDirs = await fs.promises.readdir(basePath);
-    const dateDirs = allDirs.filter(dir => dir.startsWith('date='));
-    
-    // Extract dates and filter by range
-    return dateDirs.filter(dateDir => {
-      const dateStr = dateDir.replace('date=', '');
-      const dirDate = new Date(dateStr);
-      
-      // Check if directory date is within range
-      // Use date comparison without time
-      const dirDateOnly = new Date(dirDate.getFullYear(), dirDate.getMonth(), dirDate.getDate());
-      const startDateOnly = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
-      const endDateOnly = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
-      
-      return dirDateOnly >= startDateOnly && dirDateOnly <= endDateOnly;
-    });
+  async _checkQuerySql(sql, canRead) {
+    if (canRead) {
+      const databases = await this.listDatabases();
+      const readable = databases.filter(name => canRead(name));
+      if (readable.length < databases.length) {
+        checkSandboxedSql(sql, { allowedDirectories: readable.map(name => path.join(this.dataDir, name)) });
+        return;
+      }
+    }
+    this.checkSql(sql);
   }
-  
+
   /**
-   * Get all hour directories that might contain data in the given time range
+   * Refuse queries scanning more files, or bytes, than the limits allow
    * @private
+   * @param {Map} scanned - Table reference per file the query reads
    */
-  async _getHourDirectoriesInRange(datePath, startDate, endDate) {
-    if (!fs.existsSync(datePath)) return [];
-    
-    const allDirs = await fs.promises.readdir(datePath);
-    const hourDirs = allDirs.filter(dir => dir.startsWith('hour='));
-    
-    // If date is the same, filter by hour
-    const dateStr = path.basename(datePath).replace('date=', '');
-    const dirDate = new Date(dateStr);
-    
-    if (startDate.getFullYear() === dirDate.getFullYear() && 
-        startDate.getMonth() === dirDate.getMonth() && 
-        startDate.getDate() === dirDate.getDate() &&
-        endDate.getFullYear() === dirDate.getFullYear() && 
-        endDate.getMonth() === dirDate.getMonth() && 
-        endDate.getDate() === dirDate.getDate()) {
-      
-      // Same day, filter by hour
-      return hourDirs.filter(hourDir => {
-        const hour = parseInt(hourDir.replace('hour=', ''));
-        return hour >= startDate.getHours() && hour <= endDate.getHours();
-      });
+  async _checkScanLimits(scanned) {
+    const { files: maxFiles, bytes: maxBytes } = this.limits;
+    if (maxFiles && scanned.size > maxFiles) {
+      throw new QueryLimitError(`Query would scan ${scanned.size} files, over the scanned files limit of ${maxFiles}: narrow its time range or filters`);
     }
-    
-    // If start date matches dir date, filter hours >= start hour
-    if (startDate.getFullYear() === dirDate.getFullYear() && 
-        startDate.getMonth() === dirDate.getMonth() && 
-        startDate.getDate() === dirDate.getDate()) {
-      
-      return hourDirs.filter(hourDir => {
-        const hour = parseInt(hourDir.replace('hour=', ''));
-        return hour >= startDate.getHours();
-      });
+    if (!maxBytes) {
+      return;
     }
-    
-    // If end date matches dir date, filter hours <= end hour
-    if (endDate.getFullYear() === dirDate.getFullYear() && 
-        endDate.getMonth() === dirDate.getMonth() && 
-        endDate.getDate() === dirDate.getDate()) {
-      
-      return hourDirs.filter(hourDir => {
-        const hour = parseInt(hourDir.replace('hour=', ''));
-        return hour <= endDate.getHours();
-      });
+
+    // Sizes are recorded in metadata.json; files without one are looked up
+    const sizes = new Map();
+    for (const table of new Set(scanned.values())) {
+      const { partitions } = await this.metadataCatalog.getMeasurement(table.dbName, table.measurement);
+      for (const partition of partitions) {
+        for (const file of partition.files) {
+          if (file.size_bytes !== undefined) sizes.set(file.path, file.size_bytes);
+        }
+      }
+    }
+
+    let bytes = 0;
+    for (const file of scanned.keys()) {
+      if (sizes.has(file)) {
+        bytes += sizes.get(file);
+        continue;
+      }
+      try {
+        bytes += (await fs.promises.stat(file)).size;
+      } catch (error) {
+        // Missing files fail the query anyway
+      }
+    }
+    if (bytes > maxBytes) {
+      throw new QueryLimitError(`Query would scan ${bytes} bytes in ${scanned.size} files, over the scanned bytes limit of ${maxBytes}: narrow its time range or filters`);
+    }
+  }
+
+  /**
+   * Refuse results with more rows than the limit allows
+   * @private
+   * @returns {Array} - The rows, if within the limit
+   */
+  _checkRowCount(rows, count = rows.length) {
+    if (this.limits.rows && count > this.limits.rows) {
+      throw new QueryLimitError(`Query result has more rows than the result rows limit of ${this.limits.rows}: add a LIMIT or narrow the query`);
     }
-    
-    // Otherwise, include all hours
-    return hourDirs;
+    return rows;
   }
 
   /**
    * Execute a SQL query
    * @param {string} sql - SQL query to execute
    * @param {string} dbName - Database name
-   * @returns {Array} - Query results
+   * @param {Object} [options] - Query options
+   * @param {Array|Object} [options.params] - Values bound to the query's placeholders
+   * @param {Function} [options.canRead] - Whether a database may be read; queries referencing
+   *   any other database fail with a 403
+   * @param {AbortSignal} [options.signal] - Cancels the query when aborted, e.g. by the client disconnecting
+   * @param {number} [options.timeout] - Milliseconds the query may run, instead of the client's queryTimeout
+   * @param {boolean} [options.cache=true] - Look the result up in the result cache, when it is enabled;
+   *   with false, the query runs and its result replaces the cached one
+   * @returns {Array} - Query results, not to be modified as they may be cached
    */
-  async query(sql, dbName = 'mydb') {
+  async query(sql, dbName = 'mydb', options = {}) {
     if (!this.connection) {
       throw new Error('QueryClient not initialized');
     }
 
+    const done = this._trackRead();
     try {
-      // Parse the query
-      const parsed = this.parseQuery(sql, dbName);
-      console.log('Parsed query:', JSON.stringify(parsed, null, 2));
-      
-      // Find relevant files
-      const files = await this.findRelevantFiles(
-        parsed.dbName, 
-        parsed.measurement, 
-        parsed.timeRange
-      );
-      
-      if (!files.length) {
-        console.log('No relevant files found for the query');
+      const prepared = await this.prepareQuery(sql, dbName, options);
+      if (!prepared) {
         return [];
       }
+      const { value } = await this._cached(prepared, 'rows', options,
+        () => this._withWorker(sql, dbName, options, lease => this._execute(lease, prepared)));
+      return value;
+    } catch (error) {
+      console.error('Query error:', error);
+      throw error;
+    } finally {
+      done();
+    }
+  }
 
-      console.log(`Found ${files.length} relevant files`);
-      
-      // Construct the DuckDB query using the original SQL structure
-      // but replacing the FROM clause with our parquet files
-      const originalParts = sql.split(/\s+FROM\s+/i);
-      const fromPart = `FROM read_parquet([${files.map(f => `'${f}'`).join(', ')}], union_by_name = true)`;
-      
-      let duckdbQuery;
-      if (originalParts.length >= 2) {
-        // Extract the table name pattern to replace
-        const tablePattern = new RegExp(`(?:${parsed.dbName}\\.)?${parsed.measurement}\\b`, 'i');
-        const restOfQuery = originalParts[1].replace(tablePattern, '').trim();
-        
-        if (restOfQuery) {
-          // Fix timestamp format - ensure timestamps are properly quoted
-          // Match time/date pattern: YYYY-MM-DDThh:mm:ss.fffZ without quotes
-          const timestampRegex = /([^'"])((?:\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?))/g;
-          const processedRestOfQuery = restOfQuery.replace(timestampRegex, "$1'$2'");
-          
-          duckdbQuery = `${originalParts[0]} ${fromPart} ${processedRestOfQuery}`;
-        } else {
-          duckdbQuery = `${originalParts[0]} ${fromPart}`;
-        }
-      } else {
-        // Fallback to basic query
-        duckdbQuery = `SELECT ${parsed.columns} ${fromPart}`;
-        
-        // Add WHERE conditions if available
-        if (parsed.whereConditions && parsed.whereConditions.trim() !== '') {
-          // Fix timestamp format in WHERE clause
-          const timestampRegex = /([^'"])((?:\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?))/g;
-          const processedWhereConditions = parsed.whereConditions.replace(timestampRegex, "$1'$2'");
-          
-          duckdbQuery += ` WHERE ${processedWhereConditions}`;
-        }
-        
-        // Add GROUP BY, HAVING, ORDER BY, and LIMIT
-        if (parsed.groupBy && parsed.groupBy.trim() !== '') {
-          duckdbQuery += ` GROUP BY ${parsed.groupBy}`;
-        }
-        
-        if (parsed.having && parsed.having.trim() !== '') {
-          duckdbQuery += ` HAVING ${parsed.having}`;
-        }
-        
-        if (parsed.orderBy && parsed.orderBy.trim() !== '') {
-          duckdbQuery += ` ORDER BY ${parsed.orderBy}`;
-        }
-        
-        if (parsed.limit !== null) {
-          duckdbQuery += ` LIMIT ${parsed.limit}`;
-        }
-      }
-      
-      console.log('Executing DuckDB query:', duckdbQuery);
-      
-      try {
-        // Execute the query
-        const result = this.connection.query(duckdbQuery);
-        console.log(`Query returned ${result.length} rows`);
-        
-        // Return the results directly without post-processing
-        return result;
-      } catch (error) {
-        console.error('DuckDB query execution error:', error);
-        throw new Error(`DuckDB query execution failed: ${error.message}`);
+  /**
+   * Execute a SQL query, returning its rows along with the result columns
+   * @param {string} sql - SQL query to execute
+   * @param {string} dbName - Database name
+   * @param {Object} [options] - Query options, as for query()
+   * @returns {Object} - {columns, rows, timeRange, cache}, with columns as {name, type} (DuckDB
+   *   type names) or null if DuckDB can't describe the query, the time range of
+   *   the first relation (null if no files matched), and whether the result was a
+   *   hit, a miss or a bypass of the result cache (null if it wasn't looked up)
+   */
+  async queryWithSchema(sql, dbName = 'mydb', options = {}) {
+    if (!this.connection) {
+      throw new Error('QueryClient not initialized');
+    }
+
+    const done = this._trackRead();
+    try {
+      const prepared = await this.prepareQuery(sql, dbName, options);
+      if (!prepared) {
+        return { columns: [], rows: [], timeRange: null, cache: null };
       }
+      const { value, cache } = await this._cached(prepared, 'schema', options,
+        () => this._withWorker(sql, dbName, options, async lease => ({
+          columns: await this._describe(lease, prepared),
+          rows: await this._execute(lease, prepared)
+        })));
+      return { ...value, timeRange: prepared.parsed.timeRange, cache };
     } catch (error) {
       console.error('Query error:', error);
       throw error;
+    } finally {
+      done();
     }
   }
-  
+
   /**
-   * Filter results to remove rows with NULL values that don't satisfy the condition
+   * Get the result of a prepared query from the result cache, or run it and
+   * cache its result. Queries of catalog statements, which read no files,
+   * aren't cached.
    * @private
+   * @param {Object} prepared - Result of prepareQuery
+   * @param {string} kind - What run() returns, as part of the key
+   * @param {Object} options - Query options, with `cache`
+   * @param {Function} run - Runs the query
+   * @returns {Object} - {value, cache}, cache being hit, miss, bypass, or null if the cache wasn't used
    */
-  _filterNullsInResults(results, whereCondition) {
-    if (!results || !Array.isArray(results) || results.length === 0) {
-      return results;
-    }
-    
-    // Parse the condition to extract the column name and operator
-    // Example: "temperature > 99" => { column: "temperature", operator: ">", value: 99 }
-    const conditionMatch = whereCondition.match(/([a-zA-Z_][a-zA-Z0-9_]*)\s*(>=|<=|>|<|=|!=|<>)\s*([0-9.]+)/i);
-    if (!conditionMatch) {
-      return results;
-    }
-    
-    const column = conditionMatch[1];
-    const operator = conditionMatch[2];
-    const value = parseFloat(conditionMatch[3]);
-    
-    console.log(`Filtering nulls for condition: ${column} ${operator} ${value}`);
-    
-    return results.filter(row => {
-      // If the column value is null, it doesn't satisfy any comparison
-      if (row[column] === null || row[column] === undefined) {
-        return false;
+  async _cached(prepared, kind, options, run) {
+    if (!this.resultCache.enabled || !prepared.files?.length) {
+      return { value: await run(), cache: null };
+    }
+
+    const key = await this._resultCacheKey(prepared, kind);
+    if (options.cache === false) {
+      this.resultCache.bypass();
+    } else {
+      const value = this.resultCache.get(key);
+      if (value !== undefined) {
+        console.log('Query result found in the result cache');
+        return { value, cache: 'hit' };
       }
-      
-      // Check the condition based on the operator
-      switch (operator) {
-        case '>': return row[column] > value;
-        case '>=': return row[column] >= value;
-        case '<': return row[column] < value;
-        case '<=': return row[column] <= value;
-        case '=': return row[column] === value;
-        case '!=':
-        case '<>': return row[column] !== value;
-        default: return true;
+    }
+
+    const value = await run();
+    this.resultCache.set(key, value);
+    return { value, cache: options.cache === false ? 'bypass' : 'miss' };
+  }
+
+  /**
+   * Key of the result of a prepared query: its normalized SQL and values, and
+   * the files it reads with their modification times and sizes, so that
+   * written, compacted or deleted files lead to another key
+   * @private
+   */
+  async _resultCacheKey(prepared, kind) {
+    const files = await Promise.all(prepared.files.map(async (file) => {
+      try {
+        const stats = await fs.promises.stat(file);
+        return [file, stats.mtimeMs, stats.size];
+      } catch (error) {
+        return [file, null, null];
       }
-    });
+    }));
+
+    const text = JSON.stringify([kind, normalizeSql(prepared.sql), prepared.values, files],
+      (name, value) => (typeof value === 'bigint' ? { bigint: String(value) } : value));
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Run a function with a worker of the query pool, waiting for one if they
+   * are all busy
+   * @private
+   * @param {string} sql - Query, as listed by GET /queries
+   * @param {string|null} dbName - Database queried
+   * @param {Object} options - Query options, with the signal and timeout of the query
+   * @param {Function} fn - Called with the QueryLease
+   */
+  async _withWorker(sql, dbName, options, fn) {
+    const lease = await this.pool.acquire({ sql, dbName, signal: options.signal, timeout: options.timeout });
+    let failure = null;
+    try {
+      return await fn(lease);
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      lease.release(failure);
+    }
   }
-  
+
   /**
-   * Safe JSON serialization that handles BigInt values
+   * Run a prepared query
    * @private
    */
-  _safeStringify(obj) {
-    if (!obj || typeof obj !== 'object') {
-      return JSON.stringify(obj);
-    }
-    
-    // Create a safe copy with BigInt converted to strings
-    const safeCopy = {};
-    for (const [key, value] of Object.entries(obj)) {
-      if (typeof value === 'bigint') {
-        safeCopy[key] = value.toString();
-      } else if (value instanceof Date) {
-        safeCopy[key] = value.toISOString();
-      } else if (Array.isArray(value)) {
-        safeCopy[key] = value.map(item => 
-          typeof item === 'bigint' ? item.toString() : item
-        );
-      } else if (value !== null && typeof value === 'object') {
-        safeCopy[key] = this._safeStringify(value);
-      } else {
-        safeCopy[key] = value;
+  async _execute(lease, prepared) {
+    console.log('Executing DuckDB query:', prepared.sql, prepared.values.length ? prepared.values : '');
+
+    try {
+      const result = this._checkRowCount(await lease.run(prepared.sql, prepared.values, this.limits.rows));
+      console.log(`Query returned ${result.length} rows`);
+
+      // Return the results directly; encoding is up to the caller
+      return result;
+    } catch (error) {
+      console.error('DuckDB query execution error:', error);
+      throw this._queryError(error);
+    }
+  }
+
+  /**
+   * Get the result columns of a prepared query
+   * @private
+   * @returns {Array|null} - Columns as {name, type}, or null if DuckDB can't describe the query
+   */
+  async _describe(lease, prepared) {
+    try {
+      return (await lease.run(`DESCRIBE ${prepared.sql}`, prepared.values))
+        .map(column => ({ name: column.column_name, type: column.column_type }));
+    } catch (error) {
+      if (error instanceof QueryCancelledError) throw error;
+      // e.g. EXPLAIN; values are then encoded from their JavaScript type
+      console.error('Failed to describe query:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Execute a SQL query, streaming its rows in chunks as DuckDB produces them
+   * instead of materializing the whole result. Stopping the iteration of
+   * `chunks` early (break, or return() on the iterator) stops the query.
+   * The query holds its worker until `chunks` is done, so it must be iterated.
+   * @param {string} sql - SQL query to execute
+   * @param {string} dbName - Database name
+   * @param {Object} [options] - Query options, as for query()
+   * @param {number} [options.chunkSize] - Rows per chunk
+   * @returns {Object} - {columns, chunks}: the result columns as for queryWithSchema()
+   *   and an async iterator of row arrays
+   */
+  async queryStream(sql, dbName = 'mydb', options = {}) {
+    if (!this.connection) {
+      throw new Error('QueryClient not initialized');
+    }
+
+    // The query reads files until its stream is done
+    const done = this._trackRead();
+    let lease = null;
+    let columns;
+    let prepared;
+    try {
+      prepared = await this.prepareQuery(sql, dbName, options);
+      if (!prepared) {
+        done();
+        return { columns: [], chunks: this._streamRows(null) };
       }
+      lease = await this.pool.acquire({ sql, dbName, signal: options.signal, timeout: options.timeout });
+      columns = await this._describe(lease, prepared);
+    } catch (error) {
+      if (lease) lease.release(error);
+      done();
+      throw error;
     }
-    
-    return JSON.stringify(safeCopy);
+    return {
+      columns,
+      chunks: this._streamRows(prepared, options.chunkSize || this.streamChunkSize, lease, done)
+    };
   }
 
   /**
-   * Post-process query results to handle timestamps and other transformations
+   * Yield the rows of a prepared query in chunks, releasing its worker and
+   * ending its read once done
    * @private
    */
-  _postProcessResults(results) {
-    if (!results || !Array.isArray(results) || results.length === 0) {
-      return results;
+  async *_streamRows(prepared, chunkSize, lease, done) {
+    if (!prepared) {
+      return;
     }
-    
-    // Log sample of results for debugging
-    console.log(`Post-processing ${results.length} results`);
-    if (results.length > 0) {
+
+    console.log('Streaming DuckDB query:', prepared.sql, prepared.values.length ? prepared.values : '');
+
+    let rowCount = 0;
+    let completed = false;
+    let failure = null;
+
+    try {
       try {
-        console.log(`Sample result: ${this._safeStringify(results[0])}`);
+        for await (const chunk of lease.stream(prepared.sql, prepared.values, chunkSize)) {
+          // Rows past the limit end the stream with an error, even once the response has started
+          this._checkRowCount(chunk, rowCount + chunk.length);
+          rowCount += chunk.length;
+          yield chunk;
+        }
       } catch (error) {
-        console.error('Error logging sample result:', error);
+        failure = error;
+        throw this._queryError(error);
       }
+      completed = true;
+    } finally {
+      lease.release(failure);
+      done();
+      console.log(completed ? `Query streamed ${rowCount} rows` : `Query stream stopped after ${rowCount} rows`);
+    }
+  }
+
+  /**
+   * Execute a SQL query and return its results as a Parquet file written by DuckDB
+   * @param {string} sql - SQL query to execute
+   * @param {string} dbName - Database name
+   * @param {Object} [options] - Query options, as for query()
+   * @returns {Buffer|null} - Parquet file content, or null if no files can match the query
+   */
+  async queryParquet(sql, dbName = 'mydb', options = {}) {
+    if (!this.connection) {
+      throw new Error('QueryClient not initialized');
     }
-    
-    // Check if there's a timestamp/time column that needs processing
-    return results.map(row => {
+
+    const done = this._trackRead();
+    try {
+      const prepared = await this.prepareQuery(sql, dbName, options);
+      if (!prepared) {
+        return null;
+      }
+
+      const tempPath = path.join(this.exportDir, `${crypto.randomUUID()}.parquet`);
+      // Past the row limit, one more row is enough to refuse the result without writing all of it
+      const query = this.limits.rows ? `SELECT * FROM (${prepared.sql}) LIMIT ${this.limits.rows + 1}` : prepared.sql;
+      const copySql = `COPY (${query}) TO '${tempPath.replace(/'/g, "''")}' (FORMAT PARQUET)`;
+      console.log('Executing DuckDB query:', copySql, prepared.values.length ? prepared.values : '');
+
       try {
-        const newRow = { ...row };
-        
-        // If there's a 'time' column that looks like a timestamp, format it properly
-        if (newRow.timestamp && typeof newRow.timestamp === 'object' && newRow.timestamp instanceof Date) {
-          // Keep the Date object but add an ISO string representation
-          newRow.timestamp_iso = newRow.timestamp.toISOString();
-        }
-        
-        if (newRow.time && typeof newRow.time === 'bigint') {
-          // If time is stored as nanoseconds, convert to a readable format
-          try {
-            // Assuming time is in nanoseconds since Unix epoch
-            const timeMs = Number(newRow.time / 1000000n); // Convert to milliseconds
-            newRow.time_iso = new Date(timeMs).toISOString();
-          } catch (e) {
-            console.error('Error converting time value:', e);
-          }
-        }
-        
-        // Check for __timestamp field that might be a BigInt
-        if (newRow.__timestamp && typeof newRow.__timestamp === 'bigint') {
-          try {
-            const timestampMs = Number(newRow.__timestamp / 1000000n); // Convert to milliseconds
-            newRow.__timestamp_iso = new Date(timestampMs).toISOString();
-          } catch (e) {
-            console.error('Error converting __timestamp value:', e);
-          }
-        }
-        
-        // Check for NULL values in numeric columns with comparison conditions
-        if (newRow.temperature !== undefined && newRow.temperature === null) {
-          console.log("Found NULL temperature value in results");
-        }
-        
-        return newRow;
+        const [result] = await this._withWorker(sql, dbName, options, lease => lease.run(copySql, prepared.values));
+        // COPY reports the number of rows it wrote
+        this._checkRowCount([], Number(result?.Count || 0));
+        return await fs.promises.readFile(tempPath);
       } catch (error) {
-        console.error('Error processing row:', error);
-        return row; // Return original row if processing fails
+        console.error('DuckDB query execution error:', error);
+        throw this._queryError(error);
+      } finally {
+        await fs.promises.rm(tempPath, { force: true });
       }
-    });
+    } finally {
+      done();
+    }
+  }
+
+  /**
+   * Error a query failed with: DuckDB errors are reported as such, running out
+   * of memory as going over the memory limit, and errors with a status (e.g. a
+   * timeout or a full queue) are kept as they are
+   * @private
+   */
+  _queryError(error) {
+    if (error.status) {
+      return error;
+    }
+    if (this.limits.memory && /out of memory/i.test(error.message)) {
+      return new QueryLimitError(`Query went over the memory limit of ${this.limits.memory}: ${error.message}`);
+    }
+    return new Error(`DuckDB query execution failed: ${error.message}`);
   }
 
   /**
    * Insert data in InfluxDB line protocol format
    * @param {string} dbName - Database name
    * @param {string} lineProtocolData - Data in InfluxDB line protocol format
+   * @param {Object} [options] - Insert options
+   * @param {string} [options.precision='ns'] - Timestamp precision of the data
+   * @param {boolean} [options.strict=false] - Reject the whole batch if any line is invalid
+   * @returns {Object} - Insert summary with the Parquet files written and rejected lines
    */
-  async insert(dbName, lineProtocolData) {
+  async insert(dbName, lineProtocolData, options = {}) {
+    if (!this.connection) {
+      throw new Error('QueryClient not initialized');
+    }
+
     try {
-      // Parse line protocol data
-      const measurements = parseLineProtocol(lineProtocolData);
-      
-      // Group by measurement
-      const measurementMap = new Map();
-      for (const point of measurements) {
-        if (!measurementMap.has(point.measurement)) {
-          measurementMap.set(point.measurement, []);
-        }
-        measurementMap.get(point.measurement).push(point);
+      // Parse line protocol data, rejecting the whole batch on any invalid line in strict mode
+      const { points: measurements, errors } = parseLineProtocolWithErrors(lineProtocolData, { precision: options.precision });
+      if (errors.length && options.strict) {
+        throw new LineProtocolError(errors);
       }
       
-      // Process each measurement
-      for (const [measurement, points] of measurementMap.entries()) {
-        // Determine the time range and create appropriate directory structure
-        const now = new Date();
-        const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-        const hour = now.getHours();
-        
-        const measurementDir = path.join(this.dataDir, dbName, measurement);
-        const dateDir = path.join(measurementDir, `date=${dateStr}`);
-        const hourDir = path.join(dateDir, `hour=${hour}`);
-        
-        // Ensure directories exist
-        await fs.promises.mkdir(hourDir, { recursive: true });
-        
-        // TODO: Here you would typically write to parquet files and update metadata
-        // For this example, we'll just log what would happen
-        console.log(`Would insert ${points.length} points into ${hourDir}`);
-        console.log('Points sample:', points.slice(0, 2));
-      }
+      const files = await this._writePoints(dbName, measurements);
       
-      return { success: true, message: `Inserted ${measurements.length} points` };
+      return {
+        success: errors.length === 0,
+        message: `Inserted ${measurements.length} points` + (errors.length ? `, rejected ${errors.length}` : ''),
+        points: measurements.length,
+        rejected: errors.length,
+        errors,
+        files
+      };
     } catch (error) {
       console.error('Insert error:', error);
       throw error;
     }
   }
 
+  /**
+   * Insert line protocol from a stream, flushing Parquet files every
+   * `insertBatchSize` points so the body never has to fit in memory
+   * @param {string} dbName - Database name
+   * @param {ReadableStream|AsyncIterable} source - Line protocol chunks (strings or bytes)
+   * @param {Object} [options] - Insert options
+   * @param {string} [options.precision='ns'] - Timestamp precision of the data
+   * @param {number} [options.batchSize] - Points per Parquet flush, defaults to insertBatchSize
+   * @returns {Object} - Insert summary with the Parquet files written and rejected lines
+   */
+  async insertStream(dbName, source, options = {}) {
+    if (!this.connection) {
+      throw new Error('QueryClient not initialized');
+    }
+
+    const batchSize = options.batchSize || this.insertBatchSize;
+    const files = [];
+    const errors = [];
+    let pointCount = 0;
+    let rejected = 0;
+
+    try {
+      for await (const batch of parseLineProtocolStream(source, { precision: options.precision, batchSize })) {
+        files.push(...await this._writePoints(dbName, batch.points));
+        pointCount += batch.points.length;
+        rejected += batch.errors.length;
+
+        // Keep a bounded sample of errors for reporting
+        errors.push(...batch.errors.slice(0, Math.max(0, 1000 - errors.length)));
+      }
+
+      return {
+        success: rejected === 0,
+        message: `Inserted ${pointCount} points` + (rejected ? `, rejected ${rejected}` : ''),
+        points: pointCount,
+        rejected,
+        errors,
+        files
+      };
+    } catch (error) {
+      console.error('Insert stream error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group points by measurement and write them to Parquet
+   * @private
+   * @returns {Array} - Paths of the files written
+   */
+  async _writePoints(dbName, points) {
+    const measurementMap = new Map();
+    for (const point of points) {
+      if (!measurementMap.has(point.measurement)) {
+        measurementMap.set(point.measurement, []);
+      }
+      measurementMap.get(point.measurement).push(point);
+    }
+
+    // Write each measurement into the hour partitions of its points
+    const files = [];
+    for (const [measurement, measurementPoints] of measurementMap.entries()) {
+      try {
+        const written = await this.writer.write(dbName, measurement, measurementPoints);
+        files.push(...written.map(entry => entry.path));
+      } finally {
+        // Don't wait for the watcher, queries right after a write must see its files
+        this.metadataCatalog.invalidate(dbName, measurement);
+      }
+    }
+    return files;
+  }
+
   async close() {
+    this.metadataCatalog.close();
+    this.resultCache.clear();
+    await this.pool.close();
     if (this.connection) {
       this.connection.close();
       this.connection = null;
     }
+    this.writer = null;
     if (this.db) {
       this.db.close();
       this.db = null;
     }
+    if (this.exportDir) {
+      await fs.promises.rm(this.exportDir, { recursive: true, force: true });
+      this.exportDir = null;
+    }
+  }
+}
+
+/**
+ * SQL text that only differs from another in whitespace, comments or the case
+ * of keywords and identifiers normalizes to the same string
+ * @private
+ */
+function normalizeSql(sql) {
+  try {
+    return JSON.stringify(tokenize(sql).map(token => (token.type === 'ident' ? token.upper : [token.type, token.value])));
+  } catch (error) {
+    return sql;
   }
 }
 
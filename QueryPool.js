@@ -0,0 +1,385 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * Pool of query workers (see queryWorker.js), each with its own DuckDB
+ * instance, so queries don't block the event loop nor each other.
+ *
+ * A query holds a worker from acquire() to release(), for every statement
+ * it runs (describing its columns, then reading its rows). Queries beyond
+ * the pool size wait in a queue of limited length. A query is cancelled when
+ * it runs longer than its timeout, when its request is aborted or through
+ * cancel(); its worker is then terminated and replaced.
+ */
+
+/**
+ * Error of a query stopped by a timeout (504) or cancelled (499)
+ */
+export class QueryCancelledError extends Error {
+  constructor(message, status = 499) {
+    super(message);
+    this.name = 'QueryCancelledError';
+    this.status = status;
+  }
+}
+
+class QueryPool {
+  /**
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.size=4] - Workers, i.e. queries running at once
+   * @param {number} [options.timeout=0] - Milliseconds a query may run, 0 for no limit
+   * @param {number} [options.maxQueue=100] - Queries that may wait for a worker
+   * @param {Array} [options.settings] - Groups of DuckDB SET statements applied by each worker
+   */
+  constructor(options = {}) {
+    this.size = Math.max(1, options.size || 4);
+    this.timeout = options.timeout || 0;
+    this.maxQueue = options.maxQueue === undefined ? 100 : options.maxQueue;
+    this.settings = options.settings || [];
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = [];
+    this.queries = new Map();
+    this.nextQueryId = 0;
+    this.nextJobId = 0;
+    this.closed = false;
+    this.counters = { started: 0, completed: 0, failed: 0, cancelled: 0, timed_out: 0, rejected: 0 };
+  }
+
+  /**
+   * Start the workers
+   */
+  start() {
+    for (let i = this.workers.size; i < this.size; i++) {
+      this._spawn();
+    }
+    console.log(`Started ${this.size} query workers${this.timeout ? `, queries time out after ${this.timeout / 1000}s` : ''}`);
+  }
+
+  /**
+   * Wait for a worker to run a query on
+   * @param {Object} [info] - Description of the query
+   * @param {string} [info.sql] - SQL run, as listed by list()
+   * @param {string} [info.dbName] - Database queried
+   * @param {AbortSignal} [info.signal] - Cancels the query when aborted, e.g. by a client disconnecting
+   * @param {number} [info.timeout] - Milliseconds the query may run, instead of the pool's timeout
+   * @returns {QueryLease} - Runs the statements of the query; release() it once done
+   */
+  async acquire({ sql = '', dbName = null, signal = null, timeout } = {}) {
+    if (this.closed || !this.workers.size) {
+      const error = new Error(this.closed ? 'Query pool is closed' : 'No query worker could be started');
+      error.status = 503;
+      throw error;
+    }
+    if (signal?.aborted) {
+      throw new QueryCancelledError('Query cancelled: the request was aborted');
+    }
+    if (!this.idle.length && this.queue.length >= this.maxQueue) {
+      this.counters.rejected++;
+      const error = new Error(`Too many queries: ${this.size} running and ${this.queue.length} queued, try again later`);
+      error.status = 503;
+      throw error;
+    }
+
+    const lease = new QueryLease(this, {
+      id: String(++this.nextQueryId),
+      sql,
+      dbName,
+      timeout: timeout === undefined ? this.timeout : timeout
+    });
+    this.queries.set(lease.id, lease);
+
+    if (signal) {
+      const onAbort = () => this.cancel(lease.id, 'the request was aborted');
+      signal.addEventListener('abort', onAbort, { once: true });
+      lease.cleanups.push(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    if (this.idle.length) {
+      this._start(lease, this.idle.pop());
+    } else {
+      await new Promise((resolve, reject) => {
+        lease.waiting = { resolve, reject };
+        this.queue.push(lease);
+      });
+    }
+    return lease;
+  }
+
+  /**
+   * Cancel a queued or running query
+   * @param {string} id - Query id, as listed by list()
+   * @param {string} [reason] - Why, for the error of the query
+   * @returns {boolean} - Whether there was such a query
+   */
+  cancel(id, reason = 'it was cancelled') {
+    const lease = this.queries.get(id);
+    if (!lease || lease.error) return false;
+
+    lease.error = reason === 'timeout'
+      ? new QueryCancelledError(`Query timed out after ${lease.timeout / 1000}s`, 504)
+      : new QueryCancelledError(`Query cancelled: ${reason}`);
+    this.counters[reason === 'timeout' ? 'timed_out' : 'cancelled']++;
+    console.log(`Query ${id} ${reason === 'timeout' ? 'timed out' : `cancelled: ${reason}`}`);
+
+    if (lease.waiting) {
+      this.queue.splice(this.queue.indexOf(lease), 1);
+      lease.waiting.reject(lease.error);
+      lease.waiting = null;
+      this._forget(lease);
+    } else if (lease.worker) {
+      // DuckDB can't be interrupted from here: the worker goes, with its query
+      this._replace(lease.worker, lease.error);
+      lease.worker = null;
+    }
+    return true;
+  }
+
+  /**
+   * Queued and running queries
+   * @returns {Array} - Queries as {id, state, database, sql, queued_at, started_at, elapsed_ms}
+   */
+  list() {
+    const now = Date.now();
+    return [...this.queries.values()].map(lease => ({
+      id: lease.id,
+      state: lease.error ? 'cancelling' : lease.startedAt ? 'running' : 'queued',
+      database: lease.dbName,
+      sql: lease.sql,
+      queued_at: new Date(lease.queuedAt).toISOString(),
+      started_at: lease.startedAt ? new Date(lease.startedAt).toISOString() : null,
+      elapsed_ms: now - (lease.startedAt || lease.queuedAt)
+    }));
+  }
+
+  /**
+   * Pool counters for monitoring
+   * @returns {Object}
+   */
+  stats() {
+    return {
+      workers: this.size,
+      running: this.queries.size - this.queue.length,
+      queued: this.queue.length,
+      max_queue: this.maxQueue,
+      timeout_ms: this.timeout || null,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Cancel every query and stop the workers
+   */
+  async close() {
+    this.closed = true;
+    for (const id of [...this.queries.keys()]) {
+      this.cancel(id, 'the server is shutting down');
+    }
+    const workers = [...this.workers];
+    this.workers.clear();
+    this.idle = [];
+    await Promise.all(workers.map(state => state.worker.terminate()));
+  }
+
+  /**
+   * Start a worker
+   * @private
+   */
+  _spawn() {
+    const state = {
+      worker: new Worker(new URL('./queryWorker.js', import.meta.url), { workerData: { settings: this.settings } }),
+      jobs: new Map(),
+      ready: false
+    };
+    state.worker.on('message', ({ job, rows, done, error, ready }) => {
+      if (ready) {
+        state.ready = true;
+        return;
+      }
+      const pending = state.jobs.get(job);
+      if (!pending) return;
+      state.jobs.delete(job);
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve({ rows, done });
+      }
+    });
+    state.worker.on('error', (error) => {
+      console.error('Query worker failed:', error);
+      this._replace(state, new Error(`Query worker failed: ${error.message}`));
+    });
+    state.worker.on('exit', (code) => {
+      if (this.workers.has(state)) {
+        this._replace(state, new Error(`Query worker exited with code ${code}`));
+      }
+    });
+    this.workers.add(state);
+    this._release(state);
+  }
+
+  /**
+   * Terminate a worker, failing its pending jobs, and start another one
+   * @private
+   */
+  _replace(state, error) {
+    if (!this.workers.has(state)) return;
+    this.workers.delete(state);
+    this.idle = this.idle.filter(item => item !== state);
+    for (const pending of state.jobs.values()) {
+      pending.reject(error);
+    }
+    state.jobs.clear();
+    state.worker.terminate().catch(() => {});
+
+    // A worker failing before it is ready (e.g. DuckDB failing to load) would fail again
+    if (!this.closed && state.ready) {
+      this._spawn();
+    } else if (!this.workers.size) {
+      for (const lease of this.queue.splice(0)) {
+        lease.waiting.reject(error);
+        lease.waiting = null;
+        this._forget(lease);
+      }
+    }
+  }
+
+  /**
+   * Run a query on a worker
+   * @private
+   */
+  _start(lease, state) {
+    lease.worker = state;
+    lease.startedAt = Date.now();
+    this.counters.started++;
+    if (lease.timeout) {
+      const timer = setTimeout(() => this.cancel(lease.id, 'timeout'), lease.timeout);
+      timer.unref?.();
+      lease.cleanups.push(() => clearTimeout(timer));
+    }
+  }
+
+  /**
+   * Give a worker to the next queued query, or make it idle
+   * @private
+   */
+  _release(state) {
+    const next = this.queue.shift();
+    if (next) {
+      this._start(next, state);
+      next.waiting.resolve();
+      next.waiting = null;
+    } else {
+      this.idle.push(state);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _forget(lease) {
+    this.queries.delete(lease.id);
+    for (const cleanup of lease.cleanups) cleanup();
+    lease.cleanups = [];
+  }
+
+  /**
+   * Send a job to a worker
+   * @private
+   */
+  _send(state, message) {
+    const job = ++this.nextJobId;
+    return new Promise((resolve, reject) => {
+      state.jobs.set(job, { resolve, reject });
+      state.worker.postMessage({ ...message, job });
+    });
+  }
+}
+
+/**
+ * A query holding a worker of the pool
+ */
+class QueryLease {
+  constructor(pool, { id, sql, dbName, timeout }) {
+    this.pool = pool;
+    this.id = id;
+    this.sql = sql;
+    this.dbName = dbName;
+    this.timeout = timeout;
+    this.queuedAt = Date.now();
+    this.startedAt = null;
+    this.worker = null;
+    this.waiting = null;
+    this.error = null;
+    this.cleanups = [];
+  }
+
+  /**
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} [values] - Values of its placeholders
+   * @param {number} [maxRows] - Only return up to maxRows + 1 rows, enough to tell a result is over maxRows
+   * @returns {Array} - Rows
+   */
+  async run(sql, values = [], maxRows = 0) {
+    const { rows } = await this._send({ type: 'query', sql, values, maxRows });
+    return rows;
+  }
+
+  /**
+   * Stream the rows of a statement in chunks. Stopping the iteration early
+   * stops the statement.
+   * @param {string} sql - SQL statement
+   * @param {Array} [values] - Values of its placeholders
+   * @param {number} chunkSize - Rows per chunk
+   * @returns {AsyncGenerator} - Row arrays
+   */
+  async *stream(sql, values, chunkSize) {
+    let reply = await this._send({ type: 'stream', sql, values, chunkSize });
+    try {
+      for (;;) {
+        if (reply.rows.length) yield reply.rows;
+        if (reply.done) return;
+        reply = await this._send({ type: 'next' });
+      }
+    } finally {
+      if (!reply.done && this.worker && !this.error) {
+        await this._send({ type: 'close' });
+      }
+    }
+  }
+
+  /**
+   * Give the worker back to the pool
+   * @param {Error} [error] - Error the query failed with, for the counters
+   */
+  release(error = null) {
+    const { pool } = this;
+    if (!pool.queries.has(this.id)) return;
+
+    if (!this.error) {
+      pool.counters[error ? 'failed' : 'completed']++;
+    }
+    pool._forget(this);
+    if (this.worker) {
+      const state = this.worker;
+      this.worker = null;
+      pool._release(state);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _send(message) {
+    if (this.error) throw this.error;
+    if (!this.worker) throw new Error(`Query ${this.id} doesn't hold a worker`);
+    try {
+      return await this.pool._send(this.worker, message);
+    } catch (error) {
+      // A cancelled query fails with the reason it was cancelled for
+      throw this.error || error;
+    }
+  }
+}
+
+export default QueryPool;
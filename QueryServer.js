@@ -4,19 +4,152 @@ import { cors } from 'hono/cors';
 import { prettyJSON } from 'hono/pretty-json';
 import path from 'path';
 import fs from 'fs';
+import zlib from 'zlib';
 import QueryClient from './QueryClient.js';
+import Compactor from './Compactor.js';
+import RetentionManager from './RetentionManager.js';
+import Authenticator from './Authenticator.js';
+import { precisionMultiplier } from './lineProtocol.js';
+import { parseDuration } from './timeExpressions.js';
+import { FORMATS, negotiateFormat, streamResults, toJson } from './resultFormats.js';
+import { encodingOptions, createRowEncoder } from './resultEncoding.js';
+import { executeInfluxQL } from './influxql.js';
 
 const app = new Hono();
 const PORT = process.env.PORT || 8080;
 const DATA_DIR = process.env.DATA_DIR || './data';
 
+// Credentials and their permissions, from AUTH_CONFIG
+const authenticator = new Authenticator(process.env.AUTH_CONFIG);
+const DISABLE_DEBUG_ROUTES = process.env.DISABLE_DEBUG_ROUTES === 'true';
+
 // Middleware
 app.use('*', logger());
 app.use('*', cors());
 app.use('*', prettyJSON());
 
+/**
+ * Respond to a failed authentication (401) or authorization (403)
+ */
+function authErrorResponse(c, error) {
+  const status = error.status || 401;
+  if (status === 401) {
+    c.header('WWW-Authenticate', 'Basic realm="GigAPI"');
+  }
+  if (c.req.path.startsWith('/api/v2/')) {
+    return c.json({ code: status === 401 ? 'unauthorized' : 'forbidden', message: error.message }, status);
+  }
+  if (c.req.path === '/write') {
+    c.header('X-Influxdb-Error', error.message);
+  }
+  return c.json({ error: error.message }, status);
+}
+
+/**
+ * Whether the sender of a request may read or write a database
+ */
+function canAccess(c, dbName, action) {
+  return authenticator.can(c.get('principal'), dbName, action);
+}
+
+// Every route but /health needs credentials once authentication is enabled
+app.use('*', async (c, next) => {
+  if (!authenticator.enabled || c.req.path === '/health') {
+    return next();
+  }
+  try {
+    c.set('principal', authenticator.authenticate({
+      authorization: c.req.header('Authorization'),
+      username: c.req.query('u'),
+      password: c.req.query('p')
+    }));
+  } catch (error) {
+    return authErrorResponse(c, error);
+  }
+  return next();
+});
+
+// Debug routes run any SQL and browse the data directory: admins only, unless disabled
+for (const route of ['/sql', '/debug/*', '/fs/*']) {
+  app.use(route, async (c, next) => {
+    if (DISABLE_DEBUG_ROUTES) {
+      return c.json({ error: 'Debug routes are disabled' }, 404);
+    }
+    try {
+      authenticator.authorizeAdmin(c.get('principal'));
+    } catch (error) {
+      return authErrorResponse(c, error);
+    }
+    return next();
+  });
+}
+
+// Stats name databases and report activity across all of them
+for (const route of ['/admin/*', '/stats', '/queries', '/queries/*']) {
+  app.use(route, async (c, next) => {
+    try {
+      authenticator.authorizeAdmin(c.get('principal'));
+    } catch (error) {
+      return authErrorResponse(c, error);
+    }
+    return next();
+  });
+}
+
 // Initialize QueryClient
-const queryClient = new QueryClient(DATA_DIR);
+const queryClient = new QueryClient(DATA_DIR, {
+  insertBatchSize: parseInt(process.env.INSERT_BATCH_SIZE) || undefined,
+  streamChunkSize: parseInt(process.env.STREAM_CHUNK_SIZE) || undefined,
+  defaultTimeRange: parseDurationSetting(process.env.DEFAULT_TIME_RANGE),
+  metadataCacheTtl: parseDurationSettingMs(process.env.METADATA_CACHE_TTL),
+  watchMetadata: process.env.METADATA_WATCH !== 'false',
+  sandbox: process.env.SQL_SANDBOX === 'true',
+  queryWorkers: parseInt(process.env.QUERY_WORKERS) || undefined,
+  queryTimeout: parseDurationSettingMs(process.env.QUERY_TIMEOUT),
+  maxQueuedQueries: process.env.MAX_QUEUED_QUERIES ? parseInt(process.env.MAX_QUEUED_QUERIES) : undefined,
+  maxQueryFiles: parseInt(process.env.MAX_QUERY_FILES) || undefined,
+  maxQueryBytes: parseInt(process.env.MAX_QUERY_BYTES) || undefined,
+  maxResultRows: parseInt(process.env.MAX_RESULT_ROWS) || undefined,
+  memoryLimit: process.env.QUERY_MEMORY_LIMIT || undefined,
+  resultCacheEntries: parseInt(process.env.RESULT_CACHE_ENTRIES) || undefined,
+  resultCacheBytes: parseInt(process.env.RESULT_CACHE_MAX_BYTES) || undefined
+});
+
+// Merges small Parquet files, in the background when COMPACTION_INTERVAL is set
+const compactor = new Compactor(queryClient, {
+  minFiles: parseInt(process.env.COMPACTION_MIN_FILES) || undefined,
+  targetFileSize: parseInt(process.env.COMPACTION_TARGET_SIZE) || undefined,
+  gracePeriod: parseDurationSettingMs(process.env.COMPACTION_GRACE_PERIOD),
+  interval: parseDurationSettingMs(process.env.COMPACTION_INTERVAL)
+});
+
+// Deletes partitions older than the retention policy of their measurement
+const retention = new RetentionManager(queryClient, {
+  configPath: process.env.RETENTION_CONFIG || undefined,
+  interval: parseDurationSettingMs(process.env.RETENTION_INTERVAL),
+  dryRun: process.env.RETENTION_DRY_RUN === 'true'
+});
+
+/**
+ * Read a setting such as DEFAULT_TIME_RANGE as a duration (10m, 1h) or a number of seconds
+ * @returns {number|undefined} - Nanoseconds
+ */
+function parseDurationSetting(value) {
+  if (!value) return undefined;
+  const duration = parseDuration(value);
+  if (duration !== null) return Number(duration);
+  const seconds = parseInt(value);
+  return Number.isNaN(seconds) ? undefined : seconds * 1000000000;
+}
+
+/**
+ * Read a duration setting, like parseDurationSetting()
+ * @returns {number|undefined} - Milliseconds
+ */
+function parseDurationSettingMs(value) {
+  const ns = parseDurationSetting(value);
+  return ns === undefined ? undefined : ns / 1000000;
+}
 
 /**
  * Helper function to process query results
@@ -66,63 +199,365 @@ function processBigIntInObject(obj) {
   return newObj;
 }
 
+/**
+ * Read a line protocol request body, decompressing it when gzip-encoded
+ */
+async function readLineProtocolBody(c) {
+  const encoding = (c.req.header('Content-Encoding') || 'identity').toLowerCase();
+  const body = Buffer.from(await c.req.arrayBuffer());
+
+  if (encoding === 'gzip') {
+    try {
+      return zlib.gunzipSync(body).toString('utf8');
+    } catch (error) {
+      const gzipError = new Error(`Invalid gzip body: ${error.message}`);
+      gzipError.status = 400;
+      throw gzipError;
+    }
+  }
+  if (encoding !== 'identity') {
+    const error = new Error(`Unsupported Content-Encoding: ${encoding}`);
+    error.status = 415;
+    throw error;
+  }
+  return body.toString('utf8');
+}
+
+/**
+ * Decompress a gzip request body stream, reporting corrupt input as a client error
+ */
+async function* gunzipBodyStream(body) {
+  try {
+    for await (const chunk of body.pipeThrough(new DecompressionStream('gzip'))) {
+      yield chunk;
+    }
+  } catch (error) {
+    const gzipError = new Error(`Invalid gzip body: ${error.message}`);
+    gzipError.status = 400;
+    throw gzipError;
+  }
+}
+
+/**
+ * Get a line protocol request body as a stream of bytes, decompressing gzip on the fly
+ */
+function lineProtocolBodyStream(c) {
+  const encoding = (c.req.header('Content-Encoding') || 'identity').toLowerCase();
+  const body = c.req.raw.body;
+
+  if (encoding !== 'gzip' && encoding !== 'identity') {
+    const error = new Error(`Unsupported Content-Encoding: ${encoding}`);
+    error.status = 415;
+    throw error;
+  }
+  if (!body) return [];
+  return encoding === 'gzip' ? gunzipBodyStream(body) : body;
+}
+
+/**
+ * Write a line protocol body into a database, shared by the v1 and v2 write endpoints.
+ * Bodies are streamed into Parquet in batches; with `?strict=true` the body is
+ * buffered so that a single invalid line can reject the whole write.
+ * @returns {Object} - Insert summary, with a partial write message when lines were rejected
+ */
+async function writeLineProtocol(c, dbName, precision) {
+  const strict = c.req.query('strict') === 'true';
+  let result;
+
+  if (strict) {
+    const data = await readLineProtocolBody(c);
+    if (!data.trim()) return { points: 0, rejected: 0, errors: [] };
+
+    console.log(`Writing line protocol to database '${dbName}' (${data.length} bytes, precision ${precision}, strict)`);
+    result = await queryClient.insert(dbName, data, { precision, strict });
+  } else {
+    console.log(`Streaming line protocol to database '${dbName}' (precision ${precision})`);
+    result = await queryClient.insertStream(dbName, lineProtocolBodyStream(c), { precision });
+  }
+
+  if (result.rejected) {
+    const first = result.errors[0];
+    result.partialWriteMessage = `partial write: ${result.rejected} points rejected ` +
+      `(line ${first.lineNumber}: unable to parse '${first.line}': ${first.reason})`;
+  }
+  return result;
+}
+
+/**
+ * Limit the per-line errors returned to a client
+ */
+function lineErrorsForResponse(errors) {
+  return errors.slice(0, 100);
+}
+
 // Health check endpoint
 app.get('/health', (c) => {
   return c.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Query endpoint
+// Cache statistics for monitoring
+app.get('/stats', (c) => {
+  return c.json({
+    metadata_cache: queryClient.metadataCatalog.stats(),
+    compaction: compactor.stats(),
+    retention: retention.stats(),
+    queries: queryClient.pool.stats(),
+    result_cache: queryClient.resultCache.stats()
+  });
+});
+
+// Queued and running queries
+app.get('/queries', (c) => {
+  return c.json({ queries: queryClient.pool.list() });
+});
+
+// Cancel a query, stopping its worker if it is running
+app.delete('/queries/:id', (c) => {
+  const id = c.req.param('id');
+  if (!queryClient.pool.cancel(id)) {
+    return c.json({ error: `Query not found: ${id}` }, 404);
+  }
+  return c.json({ id, cancelled: true });
+});
+
+// Compact the small files of every database, or of `db` and `measurement`
+app.post('/admin/compact', async (c) => {
+  try {
+    const summary = await compactor.run({
+      dbName: c.req.query('db') || undefined,
+      measurement: c.req.query('measurement') || undefined
+    });
+    return c.json(summary);
+  } catch (error) {
+    console.error('Compaction endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+});
+
+// Retention policies
+app.get('/admin/retention', (c) => {
+  return c.json({ policies: retention.listPolicies(), interval_ms: retention.interval || null, dry_run: retention.dryRun });
+});
+
+/**
+ * Set the retention policy of a database or measurement from a {duration} body
+ */
+async function handleSetRetention(c) {
+  try {
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (error) {
+      return c.json({ error: 'Expected a JSON body such as {"duration": "30d"}' }, 400);
+    }
+    const policy = await retention.setPolicy(c.req.param('db'), c.req.param('measurement') || null, body.duration);
+    return c.json(policy);
+  } catch (error) {
+    console.error('Retention endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+}
+
+/**
+ * Remove the retention policy of a database or measurement
+ */
+async function handleRemoveRetention(c) {
+  try {
+    const dbName = c.req.param('db');
+    const measurement = c.req.param('measurement') || null;
+    if (!await retention.removePolicy(dbName, measurement)) {
+      return c.json({ error: `No retention policy for ${measurement ? `${dbName}.${measurement}` : dbName}` }, 404);
+    }
+    return c.json({ database: dbName, measurement, removed: true });
+  } catch (error) {
+    console.error('Retention endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+}
+
+app.put('/admin/retention/:db', handleSetRetention);
+app.put('/admin/retention/:db/:measurement', handleSetRetention);
+app.delete('/admin/retention/:db', handleRemoveRetention);
+app.delete('/admin/retention/:db/:measurement', handleRemoveRetention);
+
+// Delete expired partitions now, or list them with dry_run=true
+app.post('/admin/retention/run', async (c) => {
+  try {
+    return c.json(await retention.run({ dryRun: c.req.query('dry_run') === 'true' }));
+  } catch (error) {
+    console.error('Retention endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+});
+
+// Catalog endpoints: databases, their measurements and measurement schemas
+app.get('/databases', async (c) => {
+  try {
+    const databases = await queryClient.listDatabases();
+    return c.json({ databases: databases.filter(dbName => canAccess(c, dbName, 'read')) });
+  } catch (error) {
+    console.error('Catalog endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+});
+
+app.get('/databases/:db/measurements', async (c) => {
+  try {
+    const dbName = c.req.param('db');
+    if (!canAccess(c, dbName, 'read')) {
+      return c.json({ error: `Not allowed to read database ${dbName}` }, 403);
+    }
+    return c.json({ database: dbName, measurements: await queryClient.listMeasurements(dbName) });
+  } catch (error) {
+    console.error('Catalog endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+});
+
+app.get('/databases/:db/measurements/:measurement/schema', async (c) => {
+  try {
+    const dbName = c.req.param('db');
+    const measurement = c.req.param('measurement');
+    if (!canAccess(c, dbName, 'read')) {
+      return c.json({ error: `Not allowed to read database ${dbName}` }, 403);
+    }
+    const schema = await queryClient.measurementSchema(dbName, measurement);
+    if (!schema) {
+      return c.json({ error: `Measurement not found: ${dbName}.${measurement}` }, 404);
+    }
+    return c.json(schema);
+  } catch (error) {
+    console.error('Catalog endpoint error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+});
+
+/**
+ * Whether a query may be answered from the result cache: not with `?nocache`
+ * or a `Cache-Control: no-cache` (or no-store) header
+ */
+function useResultCache(c) {
+  return c.req.query('nocache') === undefined && !/no-cache|no-store/i.test(c.req.header('Cache-Control') || '');
+}
+
+/**
+ * X-Cache header of a response from the result cache statuses of its queries:
+ * HIT if they were all hits, otherwise BYPASS or MISS
+ */
+function cacheHeaders(statuses) {
+  if (!statuses.length) return {};
+  const status = statuses.every(item => item === 'hit') ? 'hit' : statuses.includes('bypass') ? 'bypass' : 'miss';
+  return { 'X-Cache': status.toUpperCase() };
+}
+
+/**
+ * Answer an InfluxDB v1 query: InfluxQL in `q`, from the URL or a form body
+ */
+async function handleInfluxQuery(c, form = {}) {
+  const q = c.req.query('q') || form.q;
+  if (!q) {
+    return c.json({ error: 'missing required parameter "q"' }, 400);
+  }
+
+  try {
+    const cacheStatuses = [];
+    const response = await executeInfluxQL(queryClient, q, {
+      db: c.req.query('db') || form.db,
+      epoch: c.req.query('epoch') || form.epoch,
+      canRead: dbName => canAccess(c, dbName, 'read'),
+      signal: c.req.raw.signal,
+      cache: useResultCache(c),
+      onCache: status => cacheStatuses.push(status)
+    });
+    return c.body(toJson(response), 200, { 'Content-Type': FORMATS.json, ...cacheHeaders(cacheStatuses) });
+  } catch (error) {
+    console.error('InfluxQL query error:', error);
+    return c.json({ error: error.message }, error.status || 500);
+  }
+}
+
+// InfluxDB v1 compatible query endpoint (InfluxQL)
+app.get('/query', (c) => handleInfluxQuery(c));
+
+// Query endpoint: SQL in a JSON body, or InfluxQL like InfluxDB v1
 app.post('/query', async (c) => {
+  const contentType = c.req.header('Content-Type') || '';
+  if (c.req.query('q') || contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    return handleInfluxQuery(c, c.req.query('q') ? {} : await c.req.parseBody());
+  }
+
   try {
     const params = await c.req.json();
     
     if (!params.query) {
       return c.json({ error: 'Missing query parameter' }, 400);
     }
+
+    if (params.params !== undefined && (params.params === null || typeof params.params !== 'object')) {
+      return c.json({ error: 'params must be an array ($1, $2, ...) or an object ($name)' }, 400);
+    }
     
     // Extract database name from query params or URL
     const dbName = c.req.query('db') || params.db || 'mydb';
+    // Every database the query references must be readable, and the query stops if the client goes away
+    const options = {
+      params: params.params,
+      canRead: name => canAccess(c, name, 'read'),
+      signal: c.req.raw.signal,
+      cache: useResultCache(c)
+    };
     
     console.log(`Executing query for database '${dbName}':`, params.query);
     
     try {
-      const result = await queryClient.query(params.query, dbName);
-      
-      // For aggregate queries, ensure counts aren't null
-      const processedResults = result.map(row => {
-        const fixedRow = {};
-        for (const [key, value] of Object.entries(row)) {
-          if (key.includes('count') && value === null) {
-            // Always use 0 for null counts
-            fixedRow[key] = 0;
-          } else if (typeof value === 'bigint') {
-            // Convert BigInt to string for JSON compatibility
-            fixedRow[key] = value.toString();
-          } else if (value !== null && typeof value === 'object' && Object.keys(value).includes('0') && !Array.isArray(value)) {
-            // Check if this is a string-like object (with numeric keys and a 'ptr' property)
-            if ('ptr' in value) {
-              // Convert to an actual string
-              let str = '';
-              let i = 0;
-              while (value[i.toString()] !== undefined) {
-                str += value[i.toString()];
-                i++;
-              }
-              fixedRow[key] = str;
-            } else {
-              fixedRow[key] = value;
-            }
-          } else {
-            fixedRow[key] = value;
-          }
+      // Response format from ?format= (or a format field) and the Accept header
+      const format = negotiateFormat(c.req.header('Accept'), c.req.query('format') || params.format);
+
+      if (format === 'parquet') {
+        const file = await queryClient.queryParquet(params.query, dbName, options);
+        if (!file) {
+          return c.body(null, 204);
+        }
+        return c.body(file, 200, {
+          'Content-Type': FORMATS.parquet,
+          'Content-Disposition': 'attachment; filename="query.parquet"'
+        });
+      }
+
+      // Timestamp and BigInt encoding of the results
+      const encoding = encodingOptions({
+        timeFormat: c.req.query('time_format') || params.time_format,
+        bigint: c.req.query('bigint') || params.bigint
+      });
+
+      if (format !== 'json') {
+        // CSV, NDJSON and Arrow are streamed as DuckDB produces rows. The first chunk
+        // is awaited here so that errors before any row still get an error response.
+        const { columns, chunks } = await queryClient.queryStream(params.query, dbName, options);
+        const first = await chunks.next();
+        const headers = { 'Content-Type': FORMATS[format] };
+        if (columns && format !== 'arrow') {
+          // Arrow carries its own schema
+          headers['X-Query-Schema'] = JSON.stringify(columns).replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
         }
-        return fixedRow;
+        return c.body(streamResults(chunks, format, {
+          columns,
+          encoding,
+          firstChunk: first.done ? null : first.value
+        }), 200, headers);
+      }
+
+      const { columns, rows, cache } = await queryClient.queryWithSchema(params.query, dbName, options);
+      const encode = createRowEncoder(columns, encoding);
+
+      // Serialized with toJson so that bigint=number keeps every digit
+      return c.body(toJson({ results: rows.map(encode), columns: columns || [] }), 200, {
+        'Content-Type': FORMATS.json,
+        ...cacheHeaders(cache ? [cache] : [])
       });
-      
-      return c.json({ results: processedResults });
     } catch (error) {
       console.error('Query execution error:', error);
-      return c.json({ error: error.message }, 500);
+      return c.json({ error: error.message }, error.status || 500);
     }
   } catch (error) {
     console.error('Query endpoint error:', error);
@@ -130,6 +565,77 @@ app.post('/query', async (c) => {
   }
 });
 
+// InfluxDB v1 compatible write endpoint
+app.post('/write', async (c) => {
+  const dbName = c.req.query('db');
+  const precision = c.req.query('precision') || 'ns';
+
+  if (!dbName) {
+    c.header('X-Influxdb-Error', 'database is required');
+    return c.json({ error: 'database is required' }, 400);
+  }
+
+  if (!canAccess(c, dbName, 'write')) {
+    c.header('X-Influxdb-Error', `Not allowed to write database ${dbName}`);
+    return c.json({ error: `Not allowed to write database ${dbName}` }, 403);
+  }
+
+  try {
+    precisionMultiplier(precision);
+  } catch (error) {
+    c.header('X-Influxdb-Error', error.message);
+    return c.json({ error: error.message }, 400);
+  }
+
+  try {
+    const result = await writeLineProtocol(c, dbName, precision);
+    if (result.rejected) {
+      c.header('X-Influxdb-Error', result.partialWriteMessage);
+      return c.json({ error: result.partialWriteMessage, errors: lineErrorsForResponse(result.errors) }, 400);
+    }
+    return c.body(null, 204);
+  } catch (error) {
+    console.error('Write endpoint error:', error);
+    c.header('X-Influxdb-Error', error.message);
+    return c.json({ error: error.message, errors: lineErrorsForResponse(error.errors || []) }, error.status || 500);
+  }
+});
+
+// InfluxDB v2 compatible write endpoint
+app.post('/api/v2/write', async (c) => {
+  const bucket = c.req.query('bucket');
+  const precision = c.req.query('precision') || 'ns';
+
+  if (!bucket) {
+    return c.json({ code: 'invalid', message: 'bucket is required' }, 400);
+  }
+
+  try {
+    precisionMultiplier(precision);
+  } catch (error) {
+    return c.json({ code: 'invalid', message: error.message }, 400);
+  }
+
+  // Buckets may be given as "db/retention_policy"; the org is accepted but not used
+  const dbName = bucket.split('/')[0];
+  if (!canAccess(c, dbName, 'write')) {
+    return c.json({ code: 'forbidden', message: `Not allowed to write database ${dbName}` }, 403);
+  }
+
+  try {
+    const result = await writeLineProtocol(c, dbName, precision);
+    if (result.rejected) {
+      return c.json({ code: 'invalid', message: result.partialWriteMessage, errors: lineErrorsForResponse(result.errors) }, 400);
+    }
+    return c.body(null, 204);
+  } catch (error) {
+    console.error('Write endpoint error:', error);
+    const status = error.status || 500;
+    const code = { 400: 'invalid', 415: 'unsupported media type' }[status] || 'internal error';
+    return c.json({ code, message: error.message, errors: lineErrorsForResponse(error.errors || []) }, status);
+  }
+});
+
 // Raw SQL endpoint (for debugging)
 app.post('/sql', async (c) => {
   try {
@@ -141,7 +647,7 @@ app.post('/sql', async (c) => {
     
     console.log('Executing raw SQL:', params.sql);
     
-    const result = queryClient.connection.query(params.sql);
+    const result = await queryClient.runSql(params.sql, { signal: c.req.raw.signal });
     
     // Process results to convert BigInt to strings
     const processedResults = processBigIntInResults(result);
@@ -149,7 +655,7 @@ app.post('/sql', async (c) => {
     return c.json({ results: processedResults });
   } catch (error) {
     console.error('SQL endpoint error:', error);
-    return c.json({ error: error.message }, 500);
+    return c.json({ error: error.message }, error.status || 500);
   }
 });
 
@@ -353,12 +859,14 @@ app.get('/fs/:path(*)', async (c) => {
 
 // Start server
 console.log(`Initializing QueryClient with data directory: ${DATA_DIR}`);
-queryClient.initialize().then(() => {
+queryClient.initialize().then(() => authenticator.load()).then(() => retention.load()).then(() => {
   console.log(`GigAPI server starting on port ${PORT}`);
   
   // Register shutdown handler
   process.on('SIGINT', async () => {
     console.log('Shutting down GigAPI server...');
+    await compactor.close();
+    retention.stop();
     await queryClient.close();
     process.exit(0);
   });
@@ -370,8 +878,10 @@ queryClient.initialize().then(() => {
   });
   
   console.log(`GigAPI server running at http://localhost:${PORT}`);
+  compactor.start();
+  retention.start();
 }).catch((error) => {
-  console.error('Failed to initialize QueryClient:', error);
+  console.error('Failed to initialize GigAPI server:', error);
   process.exit(1);
 });
 
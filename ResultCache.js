@@ -0,0 +1,143 @@
+/**
+ * In-memory LRU cache of query results, bounded by a number of entries and
+ * an estimate of their size in memory.
+ *
+ * Keys are built by the caller (see QueryClient) from everything a result
+ * depends on, including the files it was read from and their modification
+ * times, so entries never need to be invalidated: new data changes the key,
+ * and entries no longer looked up are evicted as the cache fills.
+ */
+class ResultCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries=0] - Results kept, 0 to disable the cache
+   * @param {number} [options.maxBytes=67108864] - Estimated memory the results may use
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 0;
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+    this.enabled = this.maxEntries > 0;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, bypasses: 0, stores: 0, evictions: 0, too_large: 0 };
+  }
+
+  /**
+   * Look a result up, making it the most recently used
+   * @param {string} key - Cache key
+   * @returns {*} - Cached value, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.counters.misses++;
+      return undefined;
+    }
+    this.counters.hits++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Count a lookup skipped at the client's request
+   */
+  bypass() {
+    this.counters.bypasses++;
+  }
+
+  /**
+   * Store a result, evicting the least recently used ones beyond the limits.
+   * Results larger than the memory limit on their own aren't kept.
+   * @param {string} key - Cache key
+   * @param {*} value - Result; it is shared with later lookups, so it must not be modified
+   */
+  set(key, value) {
+    const size = estimateSize(value);
+    this._remove(key);
+    if (size > this.maxBytes) {
+      this.counters.too_large++;
+      return;
+    }
+
+    this.entries.set(key, { value, size });
+    this.bytes += size;
+    this.counters.stores++;
+
+    // Map iteration order is insertion order, so the first entry is the least recently used
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this._remove(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  /**
+   * Drop every result
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Cache counters for monitoring
+   * @returns {Object}
+   */
+  stats() {
+    const lookups = this.counters.hits + this.counters.misses;
+    return {
+      enabled: this.enabled,
+      ...this.counters,
+      hit_ratio: lookups ? this.counters.hits / lookups : null,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      max_entries: this.maxEntries,
+      max_bytes: this.maxBytes
+    };
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.size;
+    }
+  }
+}
+
+/**
+ * Rough size in memory of a result: rows of plain objects, arrays and scalars
+ * @private
+ */
+function estimateSize(value) {
+  if (value === null || value === undefined) return 8;
+  switch (typeof value) {
+    case 'string':
+      return 16 + value.length * 2;
+    case 'number':
+    case 'boolean':
+      return 8;
+    case 'bigint':
+      return 16;
+    case 'object':
+      if (value instanceof Date) return 24;
+      if (ArrayBuffer.isView(value)) return 32 + value.byteLength;
+      if (Array.isArray(value)) {
+        let size = 32;
+        for (const item of value) size += 8 + estimateSize(item);
+        return size;
+      }
+      {
+        let size = 32;
+        for (const key in value) size += 16 + key.length * 2 + estimateSize(value[key]);
+        return size;
+      }
+    default:
+      return 8;
+  }
+}
+
+export default ResultCache;
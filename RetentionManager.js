@@ -0,0 +1,316 @@
+import path from 'path';
+import fs from 'fs';
+import { parseDuration } from './timeExpressions.js';
+import { checkName } from './ParquetWriter.js';
+
+/**
+ * Retention policies: how long the data of a database, or of a single
+ * measurement, is kept. A periodic job deletes the date=/hour= partitions
+ * whose whole hour is older than the retention window.
+ *
+ * Policies are durations such as 30d or 12h, kept in a JSON file:
+ *
+ *   {"databases": {"mydb": {"duration": "30d", "measurements": {"cpu": "7d"}}}}
+ *
+ * A measurement policy takes precedence over the policy of its database.
+ */
+class RetentionManager {
+  /**
+   * @param {QueryClient} queryClient - Initialized query client, whose writer and catalog are used
+   * @param {Object} [options] - Retention options
+   * @param {string} [options.configPath] - Policy file, retention.json in the data directory by default
+   * @param {number} [options.interval=3600000] - Milliseconds between runs of the background job, 0 to disable it
+   * @param {boolean} [options.dryRun=false] - Only log what the background job would delete
+   */
+  constructor(queryClient, options = {}) {
+    this.queryClient = queryClient;
+    this.configPath = options.configPath || path.join(queryClient.dataDir, 'retention.json');
+    this.interval = options.interval === undefined ? 3600000 : options.interval;
+    this.dryRun = !!options.dryRun;
+    this.config = { databases: {} };
+    this.timer = null;
+    this.running = null;
+    this.runs = 0;
+    this.failures = 0;
+    this.lastRun = null;
+  }
+
+  /**
+   * Read the policy file, if there is one
+   */
+  async load() {
+    let config;
+    try {
+      config = JSON.parse(await fs.promises.readFile(this.configPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw new Error(`Failed to read retention policies from ${this.configPath}: ${error.message}`);
+    }
+
+    for (const policy of Object.values(config.databases || {})) {
+      if (policy.duration) this._parsePolicy(policy.duration);
+      for (const duration of Object.values(policy.measurements || {})) {
+        this._parsePolicy(duration);
+      }
+    }
+    this.config = { databases: config.databases || {} };
+    console.log(`Loaded ${this.listPolicies().length} retention policies from ${this.configPath}`);
+  }
+
+  /**
+   * Run the background job every `interval` milliseconds
+   */
+  start() {
+    if (!this.interval || this.timer) return;
+
+    console.log(`Enforcing retention policies every ${this.interval / 1000}s${this.dryRun ? ' (dry run)' : ''}`);
+    this.timer = setInterval(() => {
+      if (this.running || !this.listPolicies().length) return;
+      this.run({ dryRun: this.dryRun }).catch(error => console.error('Retention job failed:', error));
+    }, this.interval);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the background job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Every policy
+   * @returns {Array} - Policies as {database, measurement, duration, duration_ms}, measurement
+   *   being null for the policy of a database
+   */
+  listPolicies() {
+    const policies = [];
+    for (const [dbName, policy] of Object.entries(this.config.databases)) {
+      if (policy.duration) {
+        policies.push(this._describe(dbName, null, policy.duration));
+      }
+      for (const [measurement, duration] of Object.entries(policy.measurements || {})) {
+        policies.push(this._describe(dbName, measurement, duration));
+      }
+    }
+    return policies;
+  }
+
+  /**
+   * Retention window of a measurement
+   * @param {string} dbName - Database name
+   * @param {string} measurement - Measurement name
+   * @returns {number|null} - Milliseconds, or null if its data is kept forever
+   */
+  retentionFor(dbName, measurement) {
+    const policy = this.config.databases[dbName];
+    if (!policy) return null;
+    const duration = policy.measurements?.[measurement] || policy.duration;
+    return duration ? this._parsePolicy(duration) : null;
+  }
+
+  /**
+   * Set the policy of a database or of a measurement, and save the policy file
+   * @param {string} dbName - Database name
+   * @param {string|null} measurement - Measurement name, null for the whole database
+   * @param {string} duration - Retention window, such as 30d
+   * @returns {Object} - The policy, as listed by listPolicies()
+   */
+  async setPolicy(dbName, measurement, duration) {
+    checkName(dbName);
+    if (measurement !== null) checkName(measurement);
+    this._parsePolicy(duration);
+
+    const policy = this.config.databases[dbName] || {};
+    if (measurement === null) {
+      policy.duration = duration;
+    } else {
+      policy.measurements = { ...policy.measurements, [measurement]: duration };
+    }
+    this.config.databases[dbName] = policy;
+
+    await this._save();
+    console.log(`Retention of ${measurement === null ? dbName : `${dbName}.${measurement}`} set to ${duration}`);
+    return this._describe(dbName, measurement, duration);
+  }
+
+  /**
+   * Remove the policy of a database or of a measurement, and save the policy file
+   * @param {string} dbName - Database name
+   * @param {string|null} measurement - Measurement name, null for the policy of the database
+   * @returns {boolean} - Whether there was such a policy
+   */
+  async removePolicy(dbName, measurement) {
+    const policy = this.config.databases[dbName];
+    if (!policy) return false;
+
+    if (measurement === null) {
+      if (!policy.duration) return false;
+      delete policy.duration;
+    } else {
+      if (!policy.measurements?.[measurement]) return false;
+      delete policy.measurements[measurement];
+      if (!Object.keys(policy.measurements).length) delete policy.measurements;
+    }
+    if (!policy.duration && !policy.measurements) {
+      delete this.config.databases[dbName];
+    }
+
+    await this._save();
+    console.log(`Retention policy of ${measurement === null ? dbName : `${dbName}.${measurement}`} removed`);
+    return true;
+  }
+
+  /**
+   * Delete the partitions older than the retention window of their measurement
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Only report the partitions that would be deleted
+   * @returns {Object} - Summary of the run, with the partitions deleted
+   */
+  async run({ dryRun = false } = {}) {
+    if (this.running) {
+      const error = new Error('Retention job is already running');
+      error.status = 409;
+      throw error;
+    }
+
+    this.running = this._run(dryRun);
+    try {
+      const summary = await this.running;
+      this.lastRun = summary;
+      return summary;
+    } catch (error) {
+      this.failures++;
+      throw error;
+    } finally {
+      this.running = null;
+      this.runs++;
+    }
+  }
+
+  /**
+   * Retention job counters for monitoring
+   * @returns {Object}
+   */
+  stats() {
+    return {
+      running: !!this.running,
+      interval_ms: this.interval || null,
+      dry_run: this.dryRun,
+      policies: this.listPolicies().length,
+      runs: this.runs,
+      failures: this.failures,
+      last_run: this.lastRun
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _run(dryRun) {
+    const summary = {
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      dry_run: dryRun,
+      partitions_deleted: 0,
+      rows_deleted: 0,
+      bytes_deleted: 0,
+      partitions: []
+    };
+    const { queryClient } = this;
+
+    for (const dbName of await queryClient.listDatabases()) {
+      if (!this.config.databases[dbName]) continue;
+
+      for (const measurement of await queryClient.listMeasurements(dbName)) {
+        const retention = this.retentionFor(dbName, measurement);
+        if (retention === null) continue;
+
+        const cutoff = Date.now() - retention;
+        const { partitions } = await queryClient.metadataCatalog.getMeasurement(dbName, measurement);
+        const expired = partitions.filter(partition => partition.hourStart !== null && partition.hourStart + 3600000 <= cutoff);
+
+        for (const partition of expired) {
+          const metadata = partition.metadata || {};
+          summary.partitions.push({
+            database: dbName,
+            measurement,
+            partition: path.relative(path.join(queryClient.dataDir, dbName, measurement), partition.dir).split(path.sep).join('/'),
+            row_count: metadata.row_count || 0,
+            size_bytes: metadata.parquet_size_bytes || 0
+          });
+          summary.partitions_deleted++;
+          summary.rows_deleted += metadata.row_count || 0;
+          summary.bytes_deleted += metadata.parquet_size_bytes || 0;
+
+          if (!dryRun) {
+            await this._deletePartition(partition.dir);
+          }
+        }
+
+        if (expired.length && !dryRun) {
+          queryClient.metadataCatalog.invalidate(dbName, measurement);
+        }
+      }
+    }
+
+    summary.finished_at = new Date().toISOString();
+    console.log(`Retention ${dryRun ? 'dry run' : 'job'} finished: ${summary.partitions_deleted} expired partitions, ` +
+      `${summary.rows_deleted} rows${dryRun ? ' (nothing deleted)' : ''}`);
+    return summary;
+  }
+
+  /**
+   * Delete a partition directory, and its date= directory once empty
+   * @private
+   */
+  async _deletePartition(dirPath) {
+    await this.queryClient.writer.withLock(dirPath, () => fs.promises.rm(dirPath, { recursive: true, force: true }));
+    console.log(`Deleted expired partition ${dirPath}`);
+
+    try {
+      await fs.promises.rmdir(path.dirname(dirPath));
+    } catch (error) {
+      // Other hours of the day are still there
+      if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST' && error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  /**
+   * Write the policy file
+   * @private
+   */
+  async _save() {
+    const tempPath = `${this.configPath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.configPath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(this.config, null, 2));
+    await fs.promises.rename(tempPath, this.configPath);
+  }
+
+  /**
+   * @private
+   */
+  _describe(dbName, measurement, duration) {
+    return { database: dbName, measurement, duration, duration_ms: this._parsePolicy(duration) };
+  }
+
+  /**
+   * Parse a retention window
+   * @private
+   * @returns {number} - Milliseconds
+   */
+  _parsePolicy(duration) {
+    const ns = typeof duration === 'string' ? parseDuration(duration) : null;
+    if (ns === null || ns < 1000000n) {
+      const error = new Error(`Invalid retention duration: ${duration} (expected a duration such as 30d or 12h)`);
+      error.status = 400;
+      throw error;
+    }
+    return Number(ns / 1000000n);
+  }
+}
+
+export default RetentionManager;
@@ -0,0 +1,150 @@
+import { tokenize, quoteIdentifier, SqlParseError } from './sqlParser.js';
+import { AuthError } from './Authenticator.js';
+
+/**
+ * Catalog statements, answered from the data directory instead of DuckDB's
+ * own catalog (measurements are directories of Parquet files, not tables):
+ * - SHOW DATABASES
+ * - SHOW MEASUREMENTS / SHOW TABLES [FROM db]
+ * - DESCRIBE [db.]measurement / SHOW COLUMNS FROM [db.]measurement
+ *
+ * Their rows are turned into a SELECT of literal values, so they are
+ * encoded and streamed like the results of any other query.
+ */
+
+/**
+ * Recognize a catalog statement
+ * @param {string} sql - SQL text
+ * @returns {Object|null} - {kind: databases|measurements|columns, dbName, measurement},
+ *   or null if the SQL isn't a catalog statement
+ */
+export function parseCatalogStatement(sql) {
+  let tokens;
+  try {
+    tokens = tokenize(sql);
+  } catch (error) {
+    return null;
+  }
+
+  const words = tokens.filter(token => !(token.type === 'op' && token.value === ';') && token.type !== 'eof');
+  const keyword = (index, ...values) => words[index]?.type === 'ident' && values.includes(words[index].upper);
+  const isName = index => words[index]?.type === 'ident' || words[index]?.type === 'quoted';
+
+  // [db.]name from a position, requiring it to end the statement
+  const qualifiedName = (index) => {
+    if (!isName(index)) return null;
+    if (words[index + 1]?.type === 'op' && words[index + 1].value === '.' && isName(index + 2) && words.length === index + 3) {
+      return { dbName: words[index].value, measurement: words[index + 2].value };
+    }
+    return words.length === index + 1 ? { dbName: null, measurement: words[index].value } : null;
+  };
+  const invalid = () => {
+    throw new SqlParseError(`Invalid catalog statement: ${sql.trim()}`);
+  };
+
+  if (keyword(0, 'DESCRIBE', 'DESC')) {
+    // DESCRIBE SELECT ... describes a query, which isn't a catalog statement
+    if (keyword(1, 'SELECT', 'WITH', 'FROM', 'VALUES') || words[1]?.value === '(') return null;
+    return { kind: 'columns', ...(qualifiedName(1) || invalid()) };
+  }
+  if (!keyword(0, 'SHOW')) {
+    return null;
+  }
+
+  if (keyword(1, 'DATABASES') && words.length === 2) {
+    return { kind: 'databases', dbName: null, measurement: null };
+  }
+  if (keyword(1, 'MEASUREMENTS', 'TABLES')) {
+    if (words.length === 2) return { kind: 'measurements', dbName: null, measurement: null };
+    if (keyword(2, 'FROM', 'IN') && isName(3) && words.length === 4) {
+      return { kind: 'measurements', dbName: words[3].value, measurement: null };
+    }
+  }
+  if (keyword(1, 'COLUMNS') && keyword(2, 'FROM', 'IN')) {
+    return { kind: 'columns', ...(qualifiedName(3) || invalid()) };
+  }
+
+  return invalid();
+}
+
+/**
+ * Render a value as a SQL literal
+ * @private
+ */
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build a SELECT returning literal rows with typed columns
+ * @param {Array} columns - Result columns as {name, type}
+ * @param {Array} rows - Rows as arrays of values, in column order
+ * @returns {string} - SQL
+ */
+export function catalogSql(columns, rows) {
+  const aliases = columns.map((_, index) => `c${index}`);
+  const projection = columns
+    .map(({ name, type }, index) => `CAST(c${index} AS ${type}) AS ${quoteIdentifier(name)}`)
+    .join(', ');
+
+  // VALUES needs at least one row, an empty result filters it out
+  const values = rows.length ? rows : [columns.map(() => null)];
+  const valuesSql = values.map(row => `(${row.map(sqlLiteral).join(', ')})`).join(', ');
+
+  return `SELECT ${projection} FROM (VALUES ${valuesSql}) AS v(${aliases.join(', ')})${rows.length ? '' : ' WHERE false'}`;
+}
+
+/**
+ * Answer a catalog statement
+ * @param {QueryClient} queryClient - Query client to read the catalog with
+ * @param {Object} statement - Statement from parseCatalogStatement()
+ * @param {string} dbName - Database of the request, for unqualified names
+ * @param {Function} [canRead] - Whether a database may be read: others aren't listed nor described
+ * @returns {Object} - {columns, rows} for catalogSql()
+ */
+export async function catalogResult(queryClient, statement, dbName, canRead = () => true) {
+  const database = statement.dbName || dbName;
+
+  if (statement.kind === 'databases') {
+    const databases = (await queryClient.listDatabases()).filter(name => canRead(name));
+    return {
+      columns: [{ name: 'database_name', type: 'VARCHAR' }],
+      rows: databases.map(name => [name])
+    };
+  }
+
+  if (!canRead(database)) {
+    throw new AuthError(`Not allowed to read database ${database}`, 403);
+  }
+
+  if (statement.kind === 'measurements') {
+    const measurements = await queryClient.listMeasurements(database);
+    return {
+      columns: [{ name: 'name', type: 'VARCHAR' }],
+      rows: measurements.map(name => [name])
+    };
+  }
+
+  const schema = await queryClient.measurementSchema(database, statement.measurement);
+  if (!schema) {
+    const error = new Error(`Measurement not found: ${database}.${statement.measurement}`);
+    error.status = 404;
+    throw error;
+  }
+  return {
+    columns: [
+      { name: 'column_name', type: 'VARCHAR' },
+      { name: 'column_type', type: 'VARCHAR' },
+      { name: 'kind', type: 'VARCHAR' }
+    ],
+    rows: schema.columns.map(column => [column.name, column.type, column.kind])
+  };
+}
+
+export default {
+  parseCatalogStatement,
+  catalogSql,
+  catalogResult
+};
@@ -0,0 +1,262 @@
+import { walk, nodeText, applyEdits, fromTables, quoteIdentifier } from './sqlParser.js';
+import { parseDuration, parseInterval } from './timeExpressions.js';
+
+/**
+ * Time bucketing with gap filling.
+ *
+ * A SELECT listing `time_bucket_gapfill(interval, time[, offset])` and
+ * grouping by it returns a row for every bucket between the start and end of
+ * its time range (taken from the time conditions of its WHERE clause), for
+ * every group:
+ *
+ *   SELECT time_bucket_gapfill('1m', time) AS time, host, locf(avg(usage)) AS usage
+ *   FROM cpu WHERE time > now() - 1h GROUP BY ALL
+ *
+ * Aggregates of buckets without rows are NULL; wrap them to fill the gaps:
+ * - locf(expr): the last value carried forward
+ * - interpolate(expr): linear interpolation between the surrounding values
+ * - coalesce(expr, value): a constant
+ *
+ * The SELECT is rewritten to aggregate its rows per bucket in a CTE, build
+ * the grid of buckets and groups, and left join the aggregates onto it.
+ */
+
+export const GAPFILL_FUNCTION = 'time_bucket_gapfill';
+
+// Most buckets a gap filled query may return per group
+export const MAX_GAPFILL_BUCKETS = 100000;
+
+// DuckDB aggregate functions, computed per bucket before gaps are filled
+const AGGREGATE_FUNCTIONS = new Set([
+  'any_value', 'approx_count_distinct', 'approx_quantile', 'arg_max', 'arg_min', 'argmax', 'argmin', 'array_agg',
+  'avg', 'bit_and', 'bit_or', 'bit_xor', 'bool_and', 'bool_or', 'corr', 'count', 'count_star', 'covar_pop',
+  'covar_samp', 'entropy', 'favg', 'first', 'fsum', 'geomean', 'histogram', 'kurtosis', 'last', 'list', 'mad',
+  'max', 'max_by', 'mean', 'median', 'min', 'min_by', 'mode', 'product', 'quantile', 'quantile_cont',
+  'quantile_disc', 'skewness', 'stddev', 'stddev_pop', 'stddev_samp', 'string_agg', 'sum', 'sumkahan',
+  'var_pop', 'var_samp', 'variance'
+]);
+
+/**
+ * Error for a gap filled query that can't be rewritten
+ * @private
+ */
+function gapfillError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isCall = (node, name) => node.type === 'call' && node.name.toLowerCase() === name;
+const isAggregate = node => node.type === 'call' && !node.over && AGGREGATE_FUNCTIONS.has(node.name.toLowerCase());
+
+/**
+ * Read a bucket width or offset: an interval ('1 minute', INTERVAL 5 MINUTE),
+ * a duration (1m, '15m') or an integer number of nanoseconds
+ * @private
+ * @returns {BigInt|null} - Nanoseconds
+ */
+function durationOf(node) {
+  if (!node) return null;
+
+  let interval = null;
+  if (node.type === 'literal' && node.kind === 'number' && /^\d+$/.test(node.value)) {
+    return BigInt(node.value);
+  } else if (node.type === 'literal' && node.kind === 'duration') {
+    return parseDuration(node.value);
+  } else if (node.type === 'literal' && node.kind === 'string') {
+    interval = parseInterval(node.value);
+  } else if (node.type === 'interval' && node.value.type === 'literal') {
+    interval = parseInterval(node.unit ? `${node.value.value} ${node.unit}` : String(node.value.value));
+  }
+
+  // Months have no fixed length
+  return interval && !interval.months ? interval.ns : null;
+}
+
+/**
+ * Expand every SELECT of a query that uses time_bucket_gapfill()
+ * @param {string} sql - Original SQL
+ * @param {Object} parsed - Parsed query, from QueryClient.parseQuery()
+ * @returns {string|null} - Rewritten SQL, or null if the query doesn't fill gaps
+ */
+export function expandGapfill(sql, parsed) {
+  const edits = [];
+
+  walk(parsed.ast, (node) => {
+    if (node.type !== 'select' || !Array.isArray(node.columns)) return;
+
+    const bucketItem = node.columns.find(item => item.expr && isCall(item.expr, GAPFILL_FUNCTION));
+    if (!bucketItem) return;
+
+    edits.push({ start: node.start, end: node.end, text: expandSelect(sql, node, bucketItem.expr, parsed.tables) });
+    // The rewritten SELECT replaces everything inside it
+    return false;
+  });
+
+  return edits.length ? applyEdits(sql, edits) : null;
+}
+
+/**
+ * Rewrite a SELECT grouped by time_bucket_gapfill()
+ * @private
+ */
+function expandSelect(sql, select, call, tables) {
+  if (select.distinct || select.qualify) {
+    throw gapfillError(`${GAPFILL_FUNCTION}() can't be combined with DISTINCT or QUALIFY`);
+  }
+  if (!select.groupBy || !select.from.length) {
+    throw gapfillError(`${GAPFILL_FUNCTION}() needs a FROM clause and a GROUP BY`);
+  }
+  if (select.columns.some(item => item.expr.type === 'star')) {
+    throw gapfillError(`${GAPFILL_FUNCTION}() can't be combined with SELECT *`);
+  }
+
+  const [widthArgument, timeArgument, offsetArgument] = call.args;
+  const interval = durationOf(widthArgument);
+  if (call.args.length < 2 || call.args.length > 3 || !interval || interval <= 0n) {
+    throw gapfillError(`Invalid ${GAPFILL_FUNCTION}() call, expected ${GAPFILL_FUNCTION}(interval, time[, offset]): ${nodeText(sql, call)}`);
+  }
+  let offset = 0n;
+  if (offsetArgument) {
+    const value = durationOf(offsetArgument);
+    if (value === null) {
+      throw gapfillError(`Invalid ${GAPFILL_FUNCTION}() offset: ${nodeText(sql, offsetArgument)}`);
+    }
+    offset = value % interval;
+  }
+
+  const timeText = nodeText(sql, timeArgument);
+  const bucket = offset
+    ? `((${timeText} - ${offset}) // ${interval}) * ${interval} + ${offset}`
+    : `(${timeText} // ${interval}) * ${interval}`;
+
+  // Buckets span the time range of the relations this SELECT reads
+  const relations = new Set(fromTables(select));
+  const timeRange = tables.find(table => relations.has(table.node) && table.timeRange.start !== null)?.timeRange;
+  if (!timeRange) {
+    throw gapfillError(`${GAPFILL_FUNCTION}() needs a time range: add a condition on time to the WHERE clause`);
+  }
+  const firstBucket = BigInt(timeRange.start) - ((((BigInt(timeRange.start) - offset) % interval) + interval) % interval);
+  const end = BigInt(timeRange.end);
+  if ((end - firstBucket) / interval > BigInt(MAX_GAPFILL_BUCKETS)) {
+    throw gapfillError(`${GAPFILL_FUNCTION}() would create more than ${MAX_GAPFILL_BUCKETS} buckets, narrow the time range or use a larger interval`);
+  }
+
+  // Group keys besides the bucket, resolving aliases and positions to select expressions
+  const items = select.columns;
+  const resolveGroupItem = (expr) => {
+    if (expr.type === 'literal' && expr.kind === 'number' && /^\d+$/.test(expr.value)) {
+      return items[parseInt(expr.value) - 1]?.expr || expr;
+    }
+    if (expr.type === 'column' && expr.parts.length === 1) {
+      const item = items.find(column => column.alias && column.alias.name.toLowerCase() === expr.name.toLowerCase());
+      if (item) return item.expr;
+    }
+    return expr;
+  };
+  const containsAggregate = (expr) => {
+    let found = false;
+    walk(expr, (node) => {
+      if (isAggregate(node)) found = true;
+      return !found;
+    });
+    return found;
+  };
+
+  const bucketText = nodeText(sql, call);
+  const groupExprs = select.groupBy === 'ALL'
+    ? items.map(item => item.expr).filter(expr => !containsAggregate(expr))
+    : select.groupBy.map(resolveGroupItem);
+  if (!groupExprs.some(expr => nodeText(sql, expr) === bucketText)) {
+    throw gapfillError(`${GAPFILL_FUNCTION}() must be part of the GROUP BY`);
+  }
+  const keyTexts = [...new Set(groupExprs.map(expr => nodeText(sql, expr)).filter(text => text !== bucketText))];
+
+  const keyColumns = keyTexts.map((_, index) => `__gapfill_g.__gapfill_k${index}`);
+  const partition = keyColumns.length ? `PARTITION BY ${keyColumns.join(', ')} ` : '';
+  const overFrame = frame => `OVER (${partition}ORDER BY __gapfill_g.__gapfill_time ROWS BETWEEN ${frame})`;
+
+  // Select expressions over the grid: aggregates come from the bucketed rows,
+  // the bucket and group keys from the grid, fill functions become windows
+  const aggregates = [];
+  const replacement = (node) => {
+    const text = nodeText(sql, node);
+    if (text === bucketText) return '__gapfill_g.__gapfill_time';
+    if (keyTexts.includes(text)) return keyColumns[keyTexts.indexOf(text)];
+
+    if (isAggregate(node)) {
+      if (!aggregates.includes(text)) aggregates.push(text);
+      return `__gapfill_d.__gapfill_a${aggregates.indexOf(text)}`;
+    }
+
+    if (isCall(node, 'locf') || isCall(node, 'interpolate')) {
+      if (node.args.length !== 1) {
+        throw gapfillError(`${node.name}() takes one argument`);
+      }
+      const value = rewrite(node.args[0]);
+      if (isCall(node, 'locf')) {
+        return `last_value(${value} IGNORE NULLS) ${overFrame('UNBOUNDED PRECEDING AND CURRENT ROW')}`;
+      }
+
+      const known = `CASE WHEN (${value}) IS NOT NULL THEN __gapfill_g.__gapfill_time END`;
+      const previous = `last_value(${value} IGNORE NULLS) ${overFrame('UNBOUNDED PRECEDING AND 1 PRECEDING')}`;
+      const previousTime = `last_value(${known} IGNORE NULLS) ${overFrame('UNBOUNDED PRECEDING AND 1 PRECEDING')}`;
+      const next = `first_value(${value} IGNORE NULLS) ${overFrame('1 FOLLOWING AND UNBOUNDED FOLLOWING')}`;
+      const nextTime = `first_value(${known} IGNORE NULLS) ${overFrame('1 FOLLOWING AND UNBOUNDED FOLLOWING')}`;
+      return `coalesce(${value}, ${previous} + (${next} - ${previous}) * (__gapfill_g.__gapfill_time - ${previousTime}) / (${nextTime} - ${previousTime}))`;
+    }
+    return null;
+  };
+  const rewrite = (expr) => {
+    const direct = replacement(expr);
+    if (direct !== null) return direct;
+
+    const edits = [];
+    walk(expr, (node) => {
+      if (node === expr || !node.type) return;
+      const text = replacement(node);
+      if (text === null) return;
+      edits.push({ start: node.start - expr.start, end: node.end - expr.start, text });
+      return false;
+    });
+    return applyEdits(nodeText(sql, expr), edits);
+  };
+
+  const outputColumns = items.map((item) => {
+    const name = item.alias ? item.alias.name
+      : item.expr === call ? 'time'
+        : item.expr.type === 'column' ? item.expr.name
+          : nodeText(sql, item.expr);
+    return `${rewrite(item.expr)} AS ${quoteIdentifier(name)}`;
+  });
+
+  const fromText = sql.slice(select.from[0].start, select.from[select.from.length - 1].end);
+  const dataColumns = [
+    `${bucket} AS __gapfill_time`,
+    ...keyTexts.map((text, index) => `${text} AS __gapfill_k${index}`),
+    ...aggregates.map((text, index) => `${text} AS __gapfill_a${index}`)
+  ];
+  let data = `SELECT ${dataColumns.join(', ')} FROM ${fromText}`;
+  if (select.where) data += ` WHERE ${nodeText(sql, select.where)}`;
+  data += ' GROUP BY ALL';
+  if (select.having) data += ` HAVING ${nodeText(sql, select.having)}`;
+
+  // Every bucket of the range, plus any bucket of the data at its edges
+  const times = `SELECT range AS __gapfill_time FROM range(${firstBucket}, ${end}, ${interval}) UNION SELECT __gapfill_time FROM __gapfill_data`;
+  const keyNames = keyTexts.map((_, index) => `__gapfill_k${index}`);
+  const grid = keyNames.length
+    ? `SELECT * FROM (${times}) CROSS JOIN (SELECT DISTINCT ${keyNames.join(', ')} FROM __gapfill_data)`
+    : times;
+  const joinConditions = ['__gapfill_g.__gapfill_time = __gapfill_d.__gapfill_time',
+    ...keyNames.map(name => `__gapfill_g.${name} IS NOT DISTINCT FROM __gapfill_d.${name}`)];
+
+  return `SELECT * FROM (WITH __gapfill_data AS (${data}), __gapfill_grid AS (${grid}) ` +
+    `SELECT ${outputColumns.join(', ')} FROM __gapfill_grid AS __gapfill_g LEFT JOIN __gapfill_data AS __gapfill_d ON ${joinConditions.join(' AND ')} ` +
+    `ORDER BY ${[...keyColumns, '__gapfill_g.__gapfill_time'].join(', ')}) AS __gapfill`;
+}
+
+export default {
+  GAPFILL_FUNCTION,
+  MAX_GAPFILL_BUCKETS,
+  expandGapfill
+};
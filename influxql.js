@@ -0,0 +1,1105 @@
+import { quoteIdentifier } from './sqlParser.js';
+import { parseDuration } from './timeExpressions.js';
+import { createRowEncoder, formatIsoNs, parseDuckdbType } from './resultEncoding.js';
+import { AuthError } from './Authenticator.js';
+
+/**
+ * InfluxQL support for the InfluxDB v1 compatible /query endpoint.
+ *
+ * A subset of InfluxQL is translated to DuckDB SQL and run through
+ * QueryClient, so it gets the same partition and file pruning as SQL:
+ * - SELECT with aggregates and selectors, GROUP BY time(interval[, offset])
+ *   and tags, fill(), ORDER BY time, LIMIT/OFFSET and SLIMIT/SOFFSET
+ * - SHOW MEASUREMENTS, SHOW TAG KEYS and SHOW FIELD KEYS
+ *
+ * Results have the InfluxDB shape:
+ * {results: [{statement_id, series: [{name, tags, columns, values}]}]}
+ *
+ * Tags and fields are told apart with the keys the writer records in
+ * metadata.json (see QueryClient.measurementSchema()).
+ */
+
+/**
+ * Error thrown for InfluxQL that can't be parsed or translated
+ */
+export class InfluxQLError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InfluxQLError';
+    this.status = 400;
+  }
+}
+
+// Nanoseconds per unit of the `epoch` parameter
+const EPOCH_UNITS = {
+  ns: 1n,
+  u: 1000n,
+  µ: 1000n,
+  ms: 1000000n,
+  s: 1000000000n,
+  m: 60000000000n,
+  h: 3600000000000n
+};
+
+// Aggregate and selector functions, as DuckDB SQL of their field argument
+const AGGREGATES = {
+  count: field => `count(${field})`,
+  sum: field => `sum(${field})`,
+  mean: field => `avg(${field})`,
+  median: field => `median(${field})`,
+  mode: field => `mode(${field})`,
+  min: field => `min(${field})`,
+  max: field => `max(${field})`,
+  first: field => `arg_min(${field}, time)`,
+  last: field => `arg_max(${field}, time)`,
+  spread: field => `(max(${field}) - min(${field}))`,
+  stddev: field => `stddev_samp(${field})`,
+  // InfluxDB uses the nearest rank, not an interpolated value
+  percentile: (field, percent) => `quantile_disc(${field}, ${percent} / 100)`
+};
+
+// Time of the point a selector picks, as DuckDB SQL of its field argument
+const SELECTOR_TIMES = {
+  min: field => `arg_min(time, ${field})`,
+  max: field => `arg_max(time, ${field})`,
+  first: () => 'min(time)',
+  last: () => 'max(time)'
+};
+
+// Functions of values, passed through to DuckDB
+const MATH_FUNCTIONS = new Set([
+  'abs', 'acos', 'asin', 'atan', 'atan2', 'ceil', 'cos', 'exp', 'floor', 'ln', 'log2', 'log10', 'pow', 'round', 'sin', 'sqrt', 'tan'
+]);
+
+const INTEGER_TYPES = new Set(['TINYINT', 'SMALLINT', 'INTEGER', 'BIGINT', 'HUGEINT', 'UTINYINT', 'USMALLINT', 'UINTEGER']);
+
+const FILL_OPTIONS = new Set(['null', 'none', 'previous', 'linear']);
+
+const PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  '=': 3, '!=': 3, '<>': 3, '<': 3, '<=': 3, '>': 3, '>=': 3, '=~': 3, '!~': 3,
+  '+': 4, '-': 4,
+  '*': 5, '/': 5, '%': 5
+};
+
+const OPERATORS = ['=~', '!~', '!=', '<>', '<=', '>=', '::', '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '.', ';'];
+
+const DURATION = /(?:\d+(?:ns|us|µs|ms|u|s|m|h|d|w))+(?![\w.])/y;
+const NUMBER = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?/y;
+const IDENTIFIER = /[A-Za-z_][A-Za-z0-9_]*/y;
+
+/**
+ * Read a quoted string, identifier or regex starting at `pos`
+ * @private
+ * @returns {Array} - [value, end]
+ */
+function readQuoted(text, pos, quote) {
+  let value = '';
+  let index = pos + 1;
+
+  while (index < text.length) {
+    const char = text[index];
+    if (char === '\\' && index + 1 < text.length) {
+      const next = text[index + 1];
+      // Regexes keep their escapes, except for the delimiter
+      value += next === quote || (next === '\\' && quote !== '/') ? next : char + next;
+      index += 2;
+    } else if (char === quote) {
+      return [value, index + 1];
+    } else {
+      value += char;
+      index++;
+    }
+  }
+
+  throw new InfluxQLError(`error parsing query: unterminated ${quote === '/' ? 'regex' : 'string'} at position ${pos}`);
+}
+
+/**
+ * Split InfluxQL into tokens, skipping whitespace and comments
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  const matchAt = (regex) => {
+    regex.lastIndex = pos;
+    const match = regex.exec(text);
+    return match ? match[0] : null;
+  };
+
+  // A slash starts a regex where an expression can't continue: after =~, !~, FROM, BY and commas
+  const regexAllowed = () => {
+    const previous = tokens[tokens.length - 1];
+    if (!previous) return false;
+    if (previous.type === 'op') return ['=~', '!~', ','].includes(previous.value);
+    return previous.type === 'ident' && (previous.upper === 'FROM' || previous.upper === 'BY');
+  };
+
+  while (pos < text.length) {
+    const char = text[pos];
+    const start = pos;
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+    if (text.startsWith('--', pos)) {
+      const end = text.indexOf('\n', pos);
+      pos = end === -1 ? text.length : end + 1;
+      continue;
+    }
+
+    let word;
+    if (char === '"' || char === "'" || (char === '/' && regexAllowed())) {
+      const [value, end] = readQuoted(text, pos, char);
+      const type = char === '"' ? 'quoted' : char === "'" ? 'string' : 'regex';
+      tokens.push({ type, value, start, end });
+      pos = end;
+    } else if ((word = matchAt(DURATION))) {
+      tokens.push({ type: 'duration', value: word, ns: parseDuration(word), start, end: pos + word.length });
+      pos += word.length;
+    } else if ((word = matchAt(NUMBER))) {
+      tokens.push({ type: 'number', value: word, start, end: pos + word.length });
+      pos += word.length;
+    } else if ((word = matchAt(IDENTIFIER))) {
+      tokens.push({ type: 'ident', value: word, upper: word.toUpperCase(), start, end: pos + word.length });
+      pos += word.length;
+    } else {
+      const operator = OPERATORS.find(op => text.startsWith(op, pos));
+      if (!operator) {
+        throw new InfluxQLError(`error parsing query: unexpected character '${char}' at position ${pos}`);
+      }
+      tokens.push({ type: 'op', value: operator, start, end: pos + operator.length });
+      pos += operator.length;
+    }
+  }
+
+  tokens.push({ type: 'eof', value: '', start: pos, end: pos });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser for the supported InfluxQL statements
+ * @private
+ */
+class Parser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.index++;
+    return token;
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && token.upper === word;
+  }
+
+  acceptKeyword(word) {
+    if (!this.isKeyword(word)) return false;
+    this.index++;
+    return true;
+  }
+
+  expectKeyword(word) {
+    if (!this.acceptKeyword(word)) this.fail(word);
+  }
+
+  isOp(operator, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'op' && token.value === operator;
+  }
+
+  acceptOp(operator) {
+    if (!this.isOp(operator)) return false;
+    this.index++;
+    return true;
+  }
+
+  expectOp(operator) {
+    if (!this.acceptOp(operator)) this.fail(operator);
+  }
+
+  fail(expected) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'EOF' : token.value;
+    throw new InfluxQLError(`error parsing query: found ${found}, expected ${expected} at position ${token.start}`);
+  }
+
+  parseList(parseItem) {
+    const items = [parseItem()];
+    while (this.acceptOp(',')) items.push(parseItem());
+    return items;
+  }
+
+  parseStatements() {
+    const statements = [];
+    for (;;) {
+      while (this.acceptOp(';'));
+      if (this.peek().type === 'eof') break;
+      statements.push(this.parseStatement());
+      if (this.peek().type !== 'eof') this.expectOp(';');
+    }
+
+    if (!statements.length) {
+      throw new InfluxQLError('error parsing query: empty query');
+    }
+    return statements;
+  }
+
+  parseStatement() {
+    if (this.acceptKeyword('SELECT')) return this.parseSelect();
+    if (this.acceptKeyword('SHOW')) return this.parseShow();
+    this.fail('SELECT, SHOW');
+  }
+
+  parseSelect() {
+    const fields = this.parseList(() => {
+      const expr = this.parseExpression();
+      return { expr, alias: this.acceptKeyword('AS') ? this.parseIdentifier() : null };
+    });
+
+    if (this.isKeyword('INTO')) {
+      throw new InfluxQLError('SELECT INTO is not supported');
+    }
+    this.expectKeyword('FROM');
+    const sources = this.parseList(() => this.parseSource());
+    const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+
+    let dimensions = [];
+    if (this.acceptKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      dimensions = this.parseList(() => this.parseDimension());
+    }
+    const fill = this.isKeyword('FILL') ? this.parseFill() : null;
+
+    let descending = false;
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      if (this.parseIdentifier().toLowerCase() !== 'time') {
+        throw new InfluxQLError('only ORDER BY time supported at this time');
+      }
+      descending = this.acceptKeyword('DESC');
+      if (!descending) this.acceptKeyword('ASC');
+    }
+
+    const statement = { type: 'select', fields, sources, where, dimensions, fill, descending };
+    this.parseLimits(statement);
+    statement.seriesLimit = this.acceptKeyword('SLIMIT') ? this.parseInteger() : null;
+    statement.seriesOffset = this.acceptKeyword('SOFFSET') ? this.parseInteger() : 0;
+
+    if (this.acceptKeyword('TZ')) {
+      this.expectOp('(');
+      const zone = this.next();
+      if (zone.type !== 'string') this.fail('a time zone string');
+      this.expectOp(')');
+      if (!['UTC', 'Etc/UTC'].includes(zone.value)) {
+        throw new InfluxQLError(`tz('${zone.value}') is not supported, results are in UTC`);
+      }
+    }
+    return statement;
+  }
+
+  parseShow() {
+    if (this.acceptKeyword('MEASUREMENTS')) {
+      const statement = { type: 'show_measurements', db: this.parseOn(), filter: null };
+      if (this.acceptKeyword('WITH')) {
+        this.expectKeyword('MEASUREMENT');
+        const operator = this.next();
+        if (operator.type !== 'op' || !['=', '!=', '<>', '=~', '!~'].includes(operator.value)) {
+          this.index--;
+          this.fail('=, !=, =~ or !~');
+        }
+        const value = this.peek().type === 'regex' ? this.next() : { type: 'name', value: this.parseIdentifier() };
+        statement.filter = { operator: operator.value, value };
+      }
+      this.rejectWhere('SHOW MEASUREMENTS');
+      this.parseLimits(statement);
+      return statement;
+    }
+
+    for (const [word, type] of [['TAG', 'show_tag_keys'], ['FIELD', 'show_field_keys']]) {
+      if (this.isKeyword(word) && this.isKeyword('KEYS', 1)) {
+        this.index += 2;
+        const statement = { type, db: this.parseOn(), sources: null };
+        if (this.acceptKeyword('FROM')) {
+          statement.sources = this.parseList(() => this.parseSource());
+        }
+        this.rejectWhere(`SHOW ${word} KEYS`);
+        this.parseLimits(statement);
+        return statement;
+      }
+    }
+
+    this.fail('MEASUREMENTS, TAG KEYS, FIELD KEYS');
+  }
+
+  parseOn() {
+    return this.acceptKeyword('ON') ? this.parseIdentifier() : null;
+  }
+
+  rejectWhere(statement) {
+    if (this.isKeyword('WHERE')) {
+      throw new InfluxQLError(`WHERE is not supported in ${statement}`);
+    }
+  }
+
+  parseLimits(statement) {
+    statement.limit = this.acceptKeyword('LIMIT') ? this.parseInteger() : null;
+    statement.offset = this.acceptKeyword('OFFSET') ? this.parseInteger() : 0;
+  }
+
+  parseInteger() {
+    const token = this.peek();
+    if (token.type !== 'number' || !/^\d+$/.test(token.value)) this.fail('integer');
+    this.index++;
+    return parseInt(token.value);
+  }
+
+  parseIdentifier() {
+    const token = this.peek();
+    if (token.type !== 'ident' && token.type !== 'quoted') this.fail('identifier');
+    this.index++;
+    return token.value;
+  }
+
+  parseSource() {
+    if (this.peek().type === 'regex') {
+      return { regex: this.next().value, db: null };
+    }
+
+    // measurement, rp.measurement, db.rp.measurement or db..measurement
+    const parts = [this.parseIdentifier()];
+    while (this.acceptOp('.')) {
+      parts.push(this.isOp('.') ? '' : this.parseIdentifier());
+    }
+    if (parts.length > 3) this.fail('measurement');
+    return { name: parts[parts.length - 1], db: parts.length === 3 ? parts[0] : null };
+  }
+
+  parseDimension() {
+    if (this.peek().type === 'regex') {
+      return { type: 'regex', value: this.next().value };
+    }
+    if (this.acceptOp('*')) {
+      return { type: 'wildcard' };
+    }
+
+    if (this.isKeyword('TIME') && this.isOp('(', 1)) {
+      this.index += 2;
+      const interval = this.parseDurationValue();
+      if (interval <= 0n) {
+        throw new InfluxQLError('GROUP BY time() interval must be positive');
+      }
+      let offset = 0n;
+      if (this.acceptOp(',')) {
+        const negative = this.acceptOp('-');
+        offset = this.parseDurationValue() * (negative ? -1n : 1n);
+      }
+      this.expectOp(')');
+      return { type: 'time', interval, offset: ((offset % interval) + interval) % interval };
+    }
+
+    return { type: 'tag', name: this.parseIdentifier() };
+  }
+
+  parseDurationValue() {
+    const token = this.peek();
+    if (token.type !== 'duration') this.fail('duration');
+    this.index++;
+    return token.ns;
+  }
+
+  parseFill() {
+    this.index++;
+    this.expectOp('(');
+
+    let fill;
+    const token = this.peek();
+    if (token.type === 'ident' && FILL_OPTIONS.has(token.value.toLowerCase())) {
+      fill = token.value.toLowerCase();
+      this.index++;
+    } else {
+      const negative = this.acceptOp('-');
+      const number = this.peek();
+      if (number.type !== 'number') this.fail('null, none, previous, linear or a number');
+      this.index++;
+      fill = Number(number.value) * (negative ? -1 : 1);
+    }
+
+    this.expectOp(')');
+    return fill;
+  }
+
+  parseExpression(minPrecedence = 1) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      const operator = token.type === 'ident' ? token.upper : token.type === 'op' ? token.value : null;
+      const precedence = PRECEDENCE[operator];
+      if (!precedence || precedence < minPrecedence) {
+        return left;
+      }
+      this.index++;
+      left = { type: 'binary', operator, left, right: this.parseExpression(precedence + 1) };
+    }
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) {
+      const operand = this.parseUnary();
+      if (operand.type === 'number') return { ...operand, value: `-${operand.value}` };
+      return { type: 'negate', operand };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'number', value: token.value };
+      case 'duration':
+        return { type: 'duration', value: token.value, ns: token.ns };
+      case 'string':
+        return { type: 'string', value: token.value };
+      case 'regex':
+        return { type: 'regex', value: token.value };
+      case 'quoted':
+        return this.parseReference(token.value);
+      case 'ident':
+        if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+          return { type: 'boolean', value: token.upper === 'TRUE' };
+        }
+        if (this.acceptOp('(')) {
+          const args = this.isOp(')') ? [] : this.parseList(() => this.parseExpression());
+          this.expectOp(')');
+          return { type: 'call', name: token.value.toLowerCase(), args };
+        }
+        return this.parseReference(token.value);
+      case 'op':
+        if (token.value === '*') {
+          // *::field and *::tag select only fields or tags
+          return { type: 'wildcard', only: this.acceptOp('::') ? this.parseIdentifier().toLowerCase() : null };
+        }
+        if (token.value === '(') {
+          const expr = this.parseExpression();
+          this.expectOp(')');
+          return { type: 'paren', expr };
+        }
+    }
+
+    this.index--;
+    this.fail('an expression');
+  }
+
+  parseReference(name) {
+    // Type hints (value::field, host::tag, value::float) don't change the column read
+    if (this.acceptOp('::')) this.parseIdentifier();
+    return { type: 'ref', name };
+  }
+}
+
+/**
+ * Parse InfluxQL into statements
+ * @param {string} text - One or more InfluxQL statements separated by semicolons
+ * @returns {Array} - Statement nodes
+ */
+export function parseInfluxQL(text) {
+  return new Parser(text).parseStatements();
+}
+
+/**
+ * Render a string as a SQL literal
+ * @private
+ */
+function stringLiteral(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Compile an InfluxQL regex for matching names
+ * @private
+ */
+function compileRegex(source) {
+  try {
+    return new RegExp(source);
+  } catch (error) {
+    throw new InfluxQLError(`invalid regex /${source}/: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether an expression contains a node matching a predicate
+ * @private
+ */
+function containsNode(expr, predicate) {
+  if (!expr) return false;
+  if (predicate(expr)) return true;
+  switch (expr.type) {
+    case 'binary':
+      return containsNode(expr.left, predicate) || containsNode(expr.right, predicate);
+    case 'paren':
+      return containsNode(expr.expr, predicate);
+    case 'negate':
+      return containsNode(expr.operand, predicate);
+    case 'call':
+      return expr.args.some(arg => containsNode(arg, predicate));
+    default:
+      return false;
+  }
+}
+
+const isAggregate = expr => expr.type === 'call' && !!AGGREGATES[expr.name];
+const isWildcard = expr => expr.type === 'wildcard';
+const isTime = expr => expr.type === 'ref' && expr.name.toLowerCase() === 'time';
+
+/**
+ * Name of the result column of a field expression, like InfluxDB names it
+ * @private
+ */
+function columnName(expr) {
+  switch (expr.type) {
+    case 'call':
+      return expr.name;
+    case 'ref':
+      return expr.name;
+    case 'paren':
+      return columnName(expr.expr);
+    case 'negate':
+      return columnName(expr.operand);
+    case 'binary':
+      return [columnName(expr.left), columnName(expr.right)].filter(Boolean).join('_');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Translate an InfluxQL expression to DuckDB SQL
+ * @private
+ */
+function toSql(expr, inWhere = false) {
+  switch (expr.type) {
+    case 'ref':
+      return isTime(expr) ? 'time' : quoteIdentifier(expr.name);
+    case 'number':
+      return expr.value;
+    case 'duration':
+      // Resolved by QueryClient, e.g. now() - 1h
+      return expr.value;
+    case 'string':
+      return stringLiteral(expr.value);
+    case 'boolean':
+      return expr.value ? 'TRUE' : 'FALSE';
+    case 'paren':
+      return `(${toSql(expr.expr, inWhere)})`;
+    case 'negate':
+      return `-${toSql(expr.operand, inWhere)}`;
+    case 'call':
+      return callSql(expr, inWhere);
+    case 'binary':
+      return binarySql(expr, inWhere);
+    case 'regex':
+      throw new InfluxQLError(`unexpected regex /${expr.value}/, regexes can only be matched with =~ and !~`);
+    default:
+      throw new InfluxQLError('unexpected wildcard');
+  }
+}
+
+/**
+ * Translate a function call to DuckDB SQL
+ * @private
+ */
+function callSql(expr, inWhere) {
+  if (expr.name === 'now' && !expr.args.length) {
+    return 'now()';
+  }
+
+  if (AGGREGATES[expr.name]) {
+    if (inWhere) {
+      throw new InfluxQLError(`invalid function call in condition: ${expr.name}()`);
+    }
+
+    const [argument, parameter] = expr.args;
+    if (expr.name === 'count' && argument?.type === 'call' && argument.name === 'distinct') {
+      return `count(DISTINCT ${fieldArgument(argument.args[0], 'distinct')})`;
+    }
+
+    const field = fieldArgument(argument, expr.name);
+    if (expr.name === 'percentile') {
+      if (expr.args.length !== 2 || parameter.type !== 'number') {
+        throw new InfluxQLError('expected field argument and a number in percentile()');
+      }
+      return AGGREGATES.percentile(field, parameter.value);
+    }
+    if (expr.args.length !== 1) {
+      throw new InfluxQLError(`invalid number of arguments for ${expr.name}, expected 1, got ${expr.args.length}`);
+    }
+    return AGGREGATES[expr.name](field);
+  }
+
+  if (MATH_FUNCTIONS.has(expr.name)) {
+    return `${expr.name}(${expr.args.map(arg => toSql(arg, inWhere)).join(', ')})`;
+  }
+
+  throw new InfluxQLError(`unsupported function: ${expr.name}()`);
+}
+
+/**
+ * SQL of the field argument of an aggregate
+ * @private
+ */
+function fieldArgument(argument, name) {
+  if (!argument || argument.type !== 'ref') {
+    throw new InfluxQLError(`expected field argument in ${name}()`);
+  }
+  return quoteIdentifier(argument.name);
+}
+
+/**
+ * Translate a binary expression to DuckDB SQL. Operands of lower precedence
+ * than their operator can only come from parentheses, which are kept.
+ * @private
+ */
+function binarySql(expr, inWhere) {
+  const { operator, left, right } = expr;
+
+  if (operator === '=~' || operator === '!~') {
+    if (right.type !== 'regex') {
+      throw new InfluxQLError(`expected regex on the right of ${operator}`);
+    }
+    // A missing tag matches like an empty one
+    const subject = left.type === 'ref' ? `coalesce(${toSql(left, inWhere)}, '')` : toSql(left, inWhere);
+    const match = `regexp_matches(${subject}, ${stringLiteral(right.value)})`;
+    return operator === '=~' ? match : `NOT ${match}`;
+  }
+
+  // A bare duration compared with time is an absolute epoch time: time > 1744293600s
+  if (isTime(left) && right.type === 'duration') {
+    return `time ${operator} ${right.ns}`;
+  }
+  if (isTime(right) && left.type === 'duration') {
+    return `${left.ns} ${operator} time`;
+  }
+
+  if (['=', '!=', '<>'].includes(operator) && left.type === 'ref' && right.type === 'string' && right.value === '') {
+    return `coalesce(${toSql(left, inWhere)}, '') ${operator} ''`;
+  }
+
+  return `${toSql(left, inWhere)} ${operator} ${toSql(right, inWhere)}`;
+}
+
+/**
+ * Tag columns of a measurement
+ * @private
+ */
+function tagKeys(schema) {
+  return schema
+    .filter(column => column.kind === 'tag')
+    .map(column => column.name)
+    .sort();
+}
+
+/**
+ * Field columns of a measurement
+ * @private
+ */
+function fieldKeys(schema) {
+  return schema
+    .filter(column => column.kind === 'field')
+    .map(column => column.name)
+    .sort();
+}
+
+/**
+ * InfluxDB field type of a column
+ * @private
+ */
+function fieldType(type) {
+  const id = parseDuckdbType(type).id;
+  if (id === 'DOUBLE' || id === 'FLOAT') return 'float';
+  if (id === 'UBIGINT') return 'unsigned';
+  if (id === 'BOOLEAN') return 'boolean';
+  if (INTEGER_TYPES.has(id)) return 'integer';
+  return 'string';
+}
+
+/**
+ * Tags a SELECT groups its series by
+ * @private
+ */
+function groupTags(dimensions, schema) {
+  const tags = [];
+  for (const dimension of dimensions) {
+    if (dimension.type === 'tag') {
+      tags.push(dimension.name);
+    } else if (dimension.type === 'wildcard') {
+      tags.push(...tagKeys(schema));
+    } else if (dimension.type === 'regex') {
+      const regex = compileRegex(dimension.value);
+      tags.push(...tagKeys(schema).filter(tag => regex.test(tag)));
+    }
+  }
+  return [...new Set(tags)];
+}
+
+/**
+ * Expand the fields of a SELECT to result columns {expr, name}
+ * @private
+ */
+function expandFields(fields, schema, tags, aggregate) {
+  const columns = [];
+
+  for (const { expr, alias } of fields) {
+    if (isWildcard(expr)) {
+      if (aggregate) {
+        throw new InfluxQLError('mixing aggregate and non-aggregate queries is not supported');
+      }
+      const names = expr.only === 'tag' ? tagKeys(schema)
+        : expr.only === 'field' ? fieldKeys(schema)
+          : schema.map(column => column.name).filter(name => name !== 'time').sort();
+      for (const name of names.filter(name => !tags.includes(name))) {
+        columns.push({ expr: { type: 'ref', name }, name });
+      }
+    } else if (expr.type === 'call' && expr.args.length && isWildcard(expr.args[0])) {
+      // mean(*) is the mean of every field
+      for (const name of fieldKeys(schema)) {
+        columns.push({ expr: { ...expr, args: [{ type: 'ref', name }, ...expr.args.slice(1)] }, name: `${expr.name}_${name}` });
+      }
+    } else if (!isTime(expr)) {
+      // time is always the first column
+      if (aggregate && !containsNode(expr, isAggregate)) {
+        throw new InfluxQLError('mixing aggregate and non-aggregate queries is not supported');
+      }
+      columns.push({ expr, name: alias || columnName(expr) || 'value' });
+    }
+  }
+
+  if (!columns.length) {
+    throw new InfluxQLError('at least 1 non-time field must be queried');
+  }
+
+  // Repeated names get a suffix, like InfluxDB: mean, mean_1
+  const seen = new Map();
+  for (const column of columns) {
+    const count = seen.get(column.name) || 0;
+    seen.set(column.name, count + 1);
+    if (count) column.name = `${column.name}_${count}`;
+  }
+  return columns;
+}
+
+/**
+ * Translate a SELECT statement to DuckDB SQL over one measurement
+ * @private
+ * @returns {Object} - Plan with the SQL and how to turn its rows into series
+ */
+function planSelect(statement, measurement, schema) {
+  const timeDimension = statement.dimensions.find(dimension => dimension.type === 'time') || null;
+  const tags = groupTags(statement.dimensions, schema);
+  const aggregate = statement.fields.some(field => containsNode(field.expr, isAggregate));
+  if (timeDimension && !aggregate) {
+    throw new InfluxQLError('GROUP BY requires at least one aggregate function');
+  }
+  const fields = expandFields(statement.fields, schema, tags, aggregate);
+
+  // A lone selector reports the time of the point it picks, other aggregates the start of the range
+  const [{ expr: lone }] = fields;
+  const selectorTime = aggregate && !timeDimension && fields.length === 1 && lone.type === 'call' && SELECTOR_TIMES[lone.name]
+    ? SELECTOR_TIMES[lone.name](fieldArgument(lone.args[0], lone.name))
+    : null;
+
+  const fill = statement.fill === null ? 'null' : statement.fill;
+  const gapfill = !!timeDimension && fill !== 'none';
+
+  // Filled buckets come from time_bucket_gapfill(), with the fill applied to each field
+  let bucket = null;
+  let columns = ['time'];
+  if (timeDimension) {
+    const { interval, offset } = timeDimension;
+    bucket = gapfill
+      ? `time_bucket_gapfill(${interval}, time${offset ? `, ${offset}` : ''})`
+      : offset ? `((time - ${offset}) // ${interval}) * ${interval} + ${offset}` : `(time // ${interval}) * ${interval}`;
+    columns = [`${bucket} AS "time"`];
+  } else if (selectorTime) {
+    columns = [`${selectorTime} AS "time"`];
+  } else if (aggregate) {
+    columns = [];
+  }
+
+  columns.push(...tags.map(quoteIdentifier));
+  for (const field of fields) {
+    let sql = toSql(field.expr);
+    if (gapfill && fill === 'previous') sql = `locf(${sql})`;
+    else if (gapfill && fill === 'linear') sql = `interpolate(${sql})`;
+    else if (gapfill && typeof fill === 'number') sql = `coalesce(${sql}, ${fill})`;
+    columns.push(field.expr.type === 'ref' && field.expr.name === field.name ? sql : `${sql} AS ${quoteIdentifier(field.name)}`);
+  }
+
+  let sql = `SELECT ${columns.join(', ')} FROM ${quoteIdentifier(measurement)}`;
+  if (statement.where) {
+    sql += ` WHERE ${toSql(statement.where, true)}`;
+  }
+  if (aggregate && (bucket || tags.length)) {
+    sql += ' GROUP BY ALL';
+  }
+
+  // LIMIT and OFFSET apply to each series: a window over the tags, or after
+  // filling for gap filled series, which can't be windowed before filling
+  const seriesLimit = tags.length && (statement.limit !== null || statement.offset);
+  const order = bucket || (aggregate ? null : 'time');
+  const direction = statement.descending ? ' DESC' : '';
+
+  if (seriesLimit && !gapfill) {
+    const rowNumber = `row_number() OVER (PARTITION BY ${tags.map(quoteIdentifier).join(', ')}${order ? ` ORDER BY ${order}${direction}` : ''})`;
+    const bounds = [];
+    if (statement.offset) bounds.push(`${rowNumber} > ${statement.offset}`);
+    if (statement.limit !== null) bounds.push(`${rowNumber} <= ${statement.offset + statement.limit}`);
+    sql += ` QUALIFY ${bounds.join(' AND ')}`;
+  }
+  if (order) {
+    sql += ` ORDER BY "time"${direction}`;
+  }
+  if (!tags.length) {
+    if (statement.limit !== null) sql += ` LIMIT ${statement.limit}`;
+    if (statement.offset) sql += ` OFFSET ${statement.offset}`;
+  }
+
+  return {
+    sql,
+    tags,
+    fields: fields.map(field => field.name),
+    aggregate,
+    timeDimension,
+    selectorTime: !!selectorTime,
+    limit: seriesLimit && gapfill ? statement.limit : null,
+    offset: seriesLimit && gapfill ? statement.offset : 0
+  };
+}
+
+/**
+ * Render a nanosecond time for the response: RFC3339, or an integer in the `epoch` unit
+ * @private
+ */
+function formatTime(ns, epoch) {
+  return epoch ? ns / EPOCH_UNITS[epoch] : formatIsoNs(ns);
+}
+
+/**
+ * Split the rows of a planned SELECT into InfluxDB series
+ * @private
+ */
+function toSeries(plan, result, measurement, epoch) {
+  const { columns, rows, timeRange } = result;
+  const encode = createRowEncoder(columns, { timeFormat: 'ns', bigint: 'number' });
+
+  // Other aggregates without GROUP BY time() are reported at the start of the time range
+  const rangeStart = timeRange && timeRange.start !== null ? BigInt(timeRange.start) : 0n;
+
+  const groups = new Map();
+  for (const row of rows.map(encode)) {
+    const tagValues = plan.tags.map(tag => (row[tag] === null || row[tag] === undefined ? '' : String(row[tag])));
+    const key = JSON.stringify(tagValues);
+    if (!groups.has(key)) groups.set(key, { tagValues, values: [] });
+
+    const time = plan.aggregate && !plan.timeDimension && (!plan.selectorTime || row.time === null || row.time === undefined) ? rangeStart : row.time;
+    groups.get(key).values.push([time, ...plan.fields.map(name => row[name])]);
+  }
+
+  return [...groups.keys()].sort().map(key => {
+    const group = groups.get(key);
+    let values = group.values;
+    if (plan.limit !== null || plan.offset) {
+      values = values.slice(plan.offset, plan.limit === null ? undefined : plan.offset + plan.limit);
+    }
+
+    const series = { name: measurement };
+    if (plan.tags.length) {
+      series.tags = Object.fromEntries(plan.tags.map((tag, index) => [tag, group.tagValues[index]]));
+    }
+    series.columns = ['time', ...plan.fields];
+    series.values = values.map(([time, ...rest]) => [formatTime(time, epoch), ...rest]);
+    return series;
+  });
+}
+
+/**
+ * Require a database for a statement, readable if `canRead` is given
+ * @private
+ */
+function requireDatabase(db, canRead = null) {
+  if (!db) {
+    throw new InfluxQLError('database name required');
+  }
+  if (canRead && !canRead(db)) {
+    throw new AuthError(`not authorized to read database ${db}`, 403);
+  }
+  return db;
+}
+
+/**
+ * Resolve the sources of a statement to measurements
+ * @private
+ */
+async function resolveSources(queryClient, sources, db, canRead) {
+  const measurements = [];
+  for (const source of sources) {
+    const dbName = requireDatabase(source.db || db, canRead);
+    if (source.regex !== undefined) {
+      const regex = compileRegex(source.regex);
+      for (const measurement of await queryClient.listMeasurements(dbName)) {
+        if (regex.test(measurement)) measurements.push({ dbName, measurement });
+      }
+    } else {
+      measurements.push({ dbName, measurement: source.name });
+    }
+  }
+  return measurements;
+}
+
+/**
+ * Apply a statement's LIMIT and OFFSET to a list
+ * @private
+ */
+function limitValues(values, statement) {
+  return values.slice(statement.offset, statement.limit === null ? undefined : statement.offset + statement.limit);
+}
+
+/**
+ * Execute a SELECT statement
+ * @private
+ */
+async function executeSelect(queryClient, statement, { db, epoch, canRead, signal, cache, onCache }) {
+  // Wildcards need the columns of each measurement
+  const needsSchema = statement.fields.some(field => containsNode(field.expr, isWildcard)) ||
+    statement.dimensions.some(dimension => dimension.type === 'wildcard' || dimension.type === 'regex');
+
+  let series = [];
+  for (const { dbName, measurement } of await resolveSources(queryClient, statement.sources, db, canRead)) {
+    let schema = null;
+    if (needsSchema) {
+      schema = await queryClient.describeMeasurement(dbName, measurement);
+      if (!schema) continue;
+    }
+
+    const plan = planSelect(statement, measurement, schema);
+    console.log(`InfluxQL translated for ${dbName}.${measurement}:`, plan.sql);
+    const result = await queryClient.queryWithSchema(plan.sql, dbName, { signal, cache });
+    if (onCache && result.cache) onCache(result.cache);
+    series.push(...toSeries(plan, result, measurement, epoch));
+  }
+
+  if (statement.seriesLimit !== null || statement.seriesOffset) {
+    series = series.slice(statement.seriesOffset, statement.seriesLimit === null ? undefined : statement.seriesOffset + statement.seriesLimit);
+  }
+  return series;
+}
+
+/**
+ * Execute a SHOW MEASUREMENTS statement
+ * @private
+ */
+async function showMeasurements(queryClient, statement, db, canRead) {
+  let names = await queryClient.listMeasurements(requireDatabase(statement.db || db, canRead));
+
+  if (statement.filter) {
+    const { operator, value } = statement.filter;
+    const matches = value.type === 'regex'
+      ? (regex => name => regex.test(name))(compileRegex(value.value))
+      : name => name === value.value;
+    const negated = operator === '!=' || operator === '<>' || operator === '!~';
+    names = names.filter(name => matches(name) !== negated);
+  }
+
+  names = limitValues(names, statement);
+  return names.length ? [{ name: 'measurements', columns: ['name'], values: names.map(name => [name]) }] : [];
+}
+
+/**
+ * Execute a SHOW TAG KEYS or SHOW FIELD KEYS statement
+ * @private
+ */
+async function showKeys(queryClient, statement, db, canRead) {
+  const dbName = statement.db || db;
+  const measurements = statement.sources
+    ? await resolveSources(queryClient, statement.sources, dbName, canRead)
+    : (await queryClient.listMeasurements(requireDatabase(dbName, canRead))).map(measurement => ({ dbName, measurement }));
+
+  const series = [];
+  for (const { dbName: database, measurement } of measurements) {
+    const schema = await queryClient.describeMeasurement(database, measurement);
+    if (!schema) continue;
+
+    if (statement.type === 'show_tag_keys') {
+      const keys = limitValues(tagKeys(schema), statement);
+      if (keys.length) series.push({ name: measurement, columns: ['tagKey'], values: keys.map(key => [key]) });
+    } else {
+      const types = new Map(schema.map(column => [column.name, column.type]));
+      const keys = limitValues(fieldKeys(schema), statement);
+      if (keys.length) series.push({ name: measurement, columns: ['fieldKey', 'fieldType'], values: keys.map(key => [key, fieldType(types.get(key))]) });
+    }
+  }
+  return series;
+}
+
+/**
+ * Execute InfluxQL statements. Errors of a statement are reported in its
+ * result, like InfluxDB does; errors parsing the query are thrown.
+ * @param {QueryClient} queryClient - Initialized query client
+ * @param {string} text - InfluxQL statements
+ * @param {Object} [options]
+ * @param {string} [options.db] - Default database
+ * @param {string} [options.epoch] - Return times as integers in this unit (ns, u, µ, ms, s, m, h) instead of RFC3339
+ * @param {Function} [options.canRead] - Whether a database may be read; statements on others fail
+ * @param {AbortSignal} [options.signal] - Cancels the running query when aborted
+ * @param {boolean} [options.cache] - Look results up in the result cache of the client (see QueryClient.query())
+ * @param {Function} [options.onCache] - Called with hit, miss or bypass for each query looked up in the result cache
+ * @returns {Object} - {results: [{statement_id, series}|{statement_id, error}]}
+ */
+export async function executeInfluxQL(queryClient, text, { db, epoch, canRead, signal, cache, onCache } = {}) {
+  if (epoch && !EPOCH_UNITS[epoch]) {
+    throw new InfluxQLError(`invalid epoch '${epoch}', expected one of: ${Object.keys(EPOCH_UNITS).join(', ')}`);
+  }
+
+  const statements = parseInfluxQL(text);
+  const results = [];
+
+  for (const [index, statement] of statements.entries()) {
+    try {
+      let series;
+      if (statement.type === 'select') {
+        series = await executeSelect(queryClient, statement, { db, epoch, canRead, signal, cache, onCache });
+      } else if (statement.type === 'show_measurements') {
+        series = await showMeasurements(queryClient, statement, db, canRead);
+      } else {
+        series = await showKeys(queryClient, statement, db, canRead);
+      }
+      results.push(series.length ? { statement_id: index, series } : { statement_id: index });
+    } catch (error) {
+      console.error(`InfluxQL statement ${index} failed:`, error.message);
+      results.push({ statement_id: index, error: error.message });
+    }
+  }
+
+  return { results };
+}
+
+export default {
+  InfluxQLError,
+  parseInfluxQL,
+  executeInfluxQL
+};
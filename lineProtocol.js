@@ -1,101 +1,414 @@
 /**
- * Parse InfluxDB line protocol data
- * 
- * Format: 
+ * InfluxDB line protocol parser and formatter
+ *
+ * Format:
  * measurement,tag1=value1,tag2=value2 field1=value1,field2=value2 [timestamp]
- * 
+ *
+ * Follows https://docs.influxdata.com/influxdb/v2/reference/syntax/line-protocol/
+ * - measurement: commas and spaces must be escaped with a backslash
+ * - tag keys, tag values and field keys: commas, equals signs and spaces must be escaped
+ * - string field values: double quotes and backslashes must be escaped
+ * - integers are returned as BigInt (`1i`, `1u`), floats as numbers
+ */
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+
+const TRUE_VALUES = new Set(['t', 'T', 'true', 'True', 'TRUE']);
+const FALSE_VALUES = new Set(['f', 'F', 'false', 'False', 'FALSE']);
+
+const FLOAT_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+const INTEGER_PATTERN = /^[-+]?\d+i$/;
+const UNSIGNED_PATTERN = /^\d+u$/;
+const TIMESTAMP_PATTERN = /^-?\d+$/;
+
+/**
+ * Error thrown when line protocol data is rejected in strict mode
+ */
+export class LineProtocolError extends Error {
+  /**
+   * @param {Array} errors - Per-line errors as {lineNumber, line, reason}
+   */
+  constructor(errors) {
+    const first = errors[0];
+    super(`unable to parse ${errors.length} line(s): line ${first.lineNumber}: ${first.reason}`);
+    this.name = 'LineProtocolError';
+    this.errors = errors;
+    this.status = 400;
+  }
+}
+
+/**
+ * Parse InfluxDB line protocol data, collecting invalid lines instead of throwing
  * @param {string} data - Line protocol data
- * @returns {Array} - Array of parsed data points
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.precision='ns'] - Timestamp precision (ns, us, ms, s)
+ * @returns {Object} - Valid points and an array of {lineNumber, line, reason} errors
  */
-export function parse(data) {
-  const lines = data.trim().split('\n');
+export function parseWithErrors(data, options = {}) {
+  const multiplier = precisionMultiplier(options.precision);
+  // Points without a timestamp get the time the batch was received
+  const now = BigInt(Date.now()) * 1000000n;
+  const lines = data.split('\n');
   const points = [];
+  const errors = [];
 
-  for (const line of lines) {
-    // Skip empty lines and comments
-    if (!line.trim() || line.trim().startsWith('#')) {
-      continue;
-    }
+  lines.forEach((line, index) => {
+    collectLine(line, index + 1, multiplier, now, points, errors);
+  });
+
+  return { points, errors };
+}
+
+/**
+ * Parse one raw line into the points or errors array
+ * @private
+ */
+function collectLine(line, lineNumber, multiplier, now, points, errors) {
+  const trimmed = line.trim();
+
+  // Skip empty lines and comments
+  if (!trimmed || trimmed.startsWith('#')) {
+    return;
+  }
+
+  try {
+    points.push(parseLine(trimmed, multiplier, now));
+  } catch (error) {
+    errors.push({ lineNumber, line: trimmed, reason: error.message });
+  }
+}
+
+/**
+ * Normalize a stream source into an async iterable of chunks
+ * @private
+ */
+async function* readChunks(source) {
+  if (typeof source === 'string') {
+    yield source;
+    return;
+  }
 
+  // Web ReadableStream
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    let done = false;
     try {
-      const point = parseLine(line);
-      points.push(point);
-    } catch (error) {
-      console.error(`Error parsing line: ${line}`, error);
+      for (;;) {
+        const result = await reader.read();
+        if (result.done) {
+          done = true;
+          return;
+        }
+        yield result.value;
+      }
+    } finally {
+      // Stop the producer if the consumer gave up early
+      if (!done) {
+        await reader.cancel().catch(() => {});
+      }
+      reader.releaseLock();
+    }
+  }
+
+  // Node streams, async iterables and arrays of chunks
+  yield* source;
+}
+
+/**
+ * Parse line protocol from a stream, yielding batches as lines complete
+ *
+ * Only the current chunk and one batch are held in memory, so bodies of any
+ * size can be ingested. In strict mode the first invalid line throws a
+ * LineProtocolError; batches yielded before it have already been handed out.
+ *
+ * @param {ReadableStream|AsyncIterable|Iterable|string} source - Chunks of line protocol (strings or bytes)
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.precision='ns'] - Timestamp precision (ns, us, ms, s)
+ * @param {number} [options.batchSize=5000] - Maximum number of points per batch
+ * @param {boolean} [options.strict=false] - Throw on the first invalid line
+ * @yields {Object} - Batches of valid points and the {lineNumber, line, reason} errors seen since the last batch
+ */
+export async function* parseStream(source, options = {}) {
+  const multiplier = precisionMultiplier(options.precision);
+  const batchSize = options.batchSize || 5000;
+  const now = BigInt(Date.now()) * 1000000n;
+  const decoder = new TextDecoder();
+
+  let buffer = '';
+  let lineNumber = 0;
+  let points = [];
+  let errors = [];
+
+  const handleLine = (line) => {
+    lineNumber++;
+    collectLine(line, lineNumber, multiplier, now, points, errors);
+    if (errors.length && options.strict) {
+      throw new LineProtocolError(errors);
     }
+  };
+
+  for await (const chunk of readChunks(source)) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      handleLine(line);
+      if (points.length >= batchSize) {
+        yield { points, errors };
+        points = [];
+        errors = [];
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer) {
+    handleLine(buffer);
+  }
+  if (points.length || errors.length) {
+    yield { points, errors };
+  }
+}
+
+/**
+ * Parse InfluxDB line protocol data
+ *
+ * By default invalid lines are logged and dropped; in strict mode any
+ * invalid line rejects the whole batch with a LineProtocolError.
+ *
+ * @param {string} data - Line protocol data
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.precision='ns'] - Timestamp precision (ns, us, ms, s)
+ * @param {boolean} [options.strict=false] - Throw instead of dropping invalid lines
+ * @returns {Array} - Array of parsed data points
+ */
+export function parse(data, options = {}) {
+  const { points, errors } = parseWithErrors(data, options);
+
+  if (errors.length && options.strict) {
+    throw new LineProtocolError(errors);
+  }
+
+  for (const error of errors) {
+    console.error(`Error parsing line ${error.lineNumber}: ${error.line}: ${error.reason}`);
   }
 
   return points;
 }
 
+/**
+ * Get the factor that converts timestamps of a precision to nanoseconds
+ * @param {string} [precision='ns'] - Timestamp precision
+ * @returns {BigInt} - Multiplier to nanoseconds
+ */
+export function precisionMultiplier(precision = 'ns') {
+  switch (precision) {
+    case 'ns':
+    case 'n':
+      return 1n;
+    case 'us':
+    case 'u':
+    case 'µs':
+      return 1000n;
+    case 'ms':
+      return 1000000n;
+    case 's':
+      return 1000000000n;
+    case 'm':
+      return 60n * 1000000000n;
+    case 'h':
+      return 3600n * 1000000000n;
+    default:
+      throw new Error(`Invalid precision: ${precision}`);
+  }
+}
+
+/**
+ * Read an escaped token (measurement, tag key/value or field key) up to
+ * one of the unescaped stop characters
+ * @param {string} line - Line being parsed
+ * @param {number} pos - Start position
+ * @param {string} stopChars - Characters ending the token
+ * @param {string} escapable - Characters that may be escaped with a backslash
+ * @returns {Object} - Token value and the position after it
+ */
+function readToken(line, pos, stopChars, escapable) {
+  let value = '';
+
+  while (pos < line.length) {
+    const char = line[pos];
+
+    if (char === '\\' && pos + 1 < line.length && escapable.includes(line[pos + 1])) {
+      value += line[pos + 1];
+      pos += 2;
+      continue;
+    }
+    if (stopChars.includes(char)) {
+      break;
+    }
+
+    value += char;
+    pos++;
+  }
+
+  return { value, pos };
+}
+
+/**
+ * Read a double quoted string field value starting at the opening quote
+ * @param {string} line - Line being parsed
+ * @param {number} pos - Position of the opening quote
+ * @returns {Object} - String value and the position after the closing quote
+ */
+function readString(line, pos) {
+  let value = '';
+  pos++;
+
+  while (pos < line.length) {
+    const char = line[pos];
+
+    if (char === '\\' && (line[pos + 1] === '"' || line[pos + 1] === '\\')) {
+      value += line[pos + 1];
+      pos += 2;
+      continue;
+    }
+    if (char === '"') {
+      return { value, pos: pos + 1 };
+    }
+
+    value += char;
+    pos++;
+  }
+
+  throw new Error('unterminated string field value');
+}
+
+/**
+ * Convert an unquoted field value to its typed representation
+ * @param {string} raw - Raw field value
+ * @returns {BigInt|number|boolean} - Typed value
+ */
+function parseFieldValue(raw) {
+  if (INTEGER_PATTERN.test(raw)) {
+    const value = BigInt(raw.slice(0, -1));
+    if (value < INT64_MIN || value > INT64_MAX) {
+      throw new Error(`integer field value out of range: ${raw}`);
+    }
+    return value;
+  }
+
+  if (UNSIGNED_PATTERN.test(raw)) {
+    const value = BigInt(raw.slice(0, -1));
+    if (value > UINT64_MAX) {
+      throw new Error(`unsigned field value out of range: ${raw}`);
+    }
+    return value;
+  }
+
+  if (TRUE_VALUES.has(raw)) return true;
+  if (FALSE_VALUES.has(raw)) return false;
+
+  if (FLOAT_PATTERN.test(raw)) {
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      throw new Error(`float field value out of range: ${raw}`);
+    }
+    return value;
+  }
+
+  throw new Error(`invalid field value: ${raw}`);
+}
+
 /**
  * Parse a single line of InfluxDB line protocol
- * @param {string} line - Line to parse
+ * @param {string} line - Line to parse, without surrounding whitespace
+ * @param {BigInt} [multiplier=1n] - Factor converting the timestamp to nanoseconds
+ * @param {BigInt} [defaultTimestamp] - Timestamp used when the line has none
  * @returns {Object} - Parsed data point
  */
-function parseLine(line) {
-  // Split the line into its components
-  const parts = line.trim().split(' ');
-  
-  // There must be at least 2 parts (measurement+tags and fields)
-  if (parts.length < 2) {
-    throw new Error(`Invalid line protocol: ${line}`);
-  }
-  
-  // Parse measurement and tags
-  const measurementAndTags = parts[0];
-  const measurementTagsParts = measurementAndTags.split(',');
-  const measurement = measurementTagsParts[0];
-  
-  // Parse tags
+function parseLine(line, multiplier = 1n, defaultTimestamp = BigInt(Date.now()) * 1000000n) {
+  // Measurement
+  let { value: measurement, pos } = readToken(line, 0, ', ', ', ');
+  if (!measurement) {
+    throw new Error('missing measurement');
+  }
+
+  // Tag set
   const tags = {};
-  for (let i = 1; i < measurementTagsParts.length; i++) {
-    const tagPair = measurementTagsParts[i].split('=');
-    if (tagPair.length === 2) {
-      tags[tagPair[0]] = tagPair[1];
+  while (line[pos] === ',') {
+    const key = readToken(line, pos + 1, ',= ', ',= ');
+    if (!key.value) {
+      throw new Error(`missing tag key at column ${pos + 2}`);
+    }
+    if (line[key.pos] !== '=') {
+      throw new Error(`missing tag value for "${key.value}" at column ${key.pos + 1}`);
+    }
+
+    const tagValue = readToken(line, key.pos + 1, ', ', ',= ');
+    if (!tagValue.value) {
+      throw new Error(`missing tag value for "${key.value}" at column ${key.pos + 2}`);
     }
+
+    tags[key.value] = tagValue.value;
+    pos = tagValue.pos;
+  }
+
+  if (line[pos] !== ' ') {
+    throw new Error('missing fields');
   }
-  
-  // Parse fields
-  const fieldsPart = parts[1];
-  const fieldPairs = fieldsPart.split(',');
+  while (line[pos] === ' ') pos++;
+
+  // Field set
   const fields = {};
-  
-  for (const fieldPair of fieldPairs) {
-    const [key, rawValue] = fieldPair.split('=');
-    
-    // Parse field value based on type (integer, float, string, boolean)
-    let value;
-    
-    if (rawValue.endsWith('i')) {
-      // Integer
-      value = parseInt(rawValue.slice(0, -1));
-    } else if (rawValue === 't' || rawValue === 'T' || rawValue === 'true' || rawValue === 'True') {
-      // Boolean true
-      value = true;
-    } else if (rawValue === 'f' || rawValue === 'F' || rawValue === 'false' || rawValue === 'False') {
-      // Boolean false
-      value = false;
-    } else if (rawValue.startsWith('"') && rawValue.endsWith('"')) {
-      // String
-      value = rawValue.slice(1, -1);
+  for (;;) {
+    const key = readToken(line, pos, ',= ', ',= ');
+    if (!key.value) {
+      throw new Error(`missing field key at column ${pos + 1}`);
+    }
+    if (line[key.pos] !== '=') {
+      throw new Error(`missing field value for "${key.value}" at column ${key.pos + 1}`);
+    }
+    pos = key.pos + 1;
+
+    if (line[pos] === '"') {
+      const str = readString(line, pos);
+      fields[key.value] = str.value;
+      pos = str.pos;
     } else {
-      // Float
-      value = parseFloat(rawValue);
-    }
-    
-    fields[key] = value;
-  }
-  
-  // Parse timestamp if present
-  let timestamp = null;
-  if (parts.length > 2) {
-    timestamp = BigInt(parts[2]);
-  } else {
-    // If no timestamp provided, use current time in nanoseconds
-    timestamp = BigInt(Date.now()) * 1000000n; // Convert milliseconds to nanoseconds
-  }
-  
+      let end = pos;
+      while (end < line.length && line[end] !== ',' && line[end] !== ' ') end++;
+      const raw = line.slice(pos, end);
+      if (!raw) {
+        throw new Error(`missing field value for "${key.value}" at column ${pos + 1}`);
+      }
+      fields[key.value] = parseFieldValue(raw);
+      pos = end;
+    }
+
+    if (line[pos] === ',') {
+      pos++;
+      continue;
+    }
+    if (pos < line.length && line[pos] !== ' ') {
+      throw new Error(`unexpected character "${line[pos]}" at column ${pos + 1}`);
+    }
+    break;
+  }
+
+  // Timestamp
+  let timestamp = defaultTimestamp;
+  const rest = line.slice(pos).trim();
+  if (rest) {
+    if (!TIMESTAMP_PATTERN.test(rest)) {
+      throw new Error(`invalid timestamp: ${rest}`);
+    }
+    timestamp = BigInt(rest) * multiplier;
+  }
+
   return {
     measurement,
     tags,
@@ -104,51 +417,103 @@ function parseLine(line) {
   };
 }
 
+/**
+ * Escape a measurement name
+ * @private
+ */
+function escapeMeasurement(value) {
+  return checkTrailingBackslash(String(value)).replace(/[, ]/g, '\\$&');
+}
+
+/**
+ * Escape a tag key, tag value or field key
+ * @private
+ */
+function escapeKey(value) {
+  return checkTrailingBackslash(String(value)).replace(/[,= ]/g, '\\$&');
+}
+
+/**
+ * Backslashes aren't escaped in names and tags, so one at the end would
+ * escape the separator written after it
+ * @private
+ */
+function checkTrailingBackslash(value) {
+  if (value.endsWith('\\')) {
+    throw new Error(`Line protocol names and tag values can't end with a backslash: ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Format a field value with its type suffix
+ * @private
+ */
+function formatFieldValue(value) {
+  if (typeof value === 'string') {
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 't' : 'f';
+  }
+  if (typeof value === 'bigint') {
+    return value > INT64_MAX ? `${value}u` : `${value}i`;
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid field value: ${value}`);
+  }
+  return String(value);
+}
+
 /**
  * Format data as InfluxDB line protocol
- * @param {string} measurement - Measurement name
+ *
+ * Integers must be passed as BigInt to be written as line protocol integers;
+ * numbers are always written as floats so that parse(format(x)) round-trips.
+ *
+ * @param {string|Object} measurement - Measurement name, or a parsed point
  * @param {Object} tags - Tags key-value pairs
  * @param {Object} fields - Fields key-value pairs
  * @param {BigInt|number} [timestamp] - Optional timestamp in nanoseconds
  * @returns {string} - Line protocol formatted string
+ * @throws {Error} - For a name or tag value ending with a backslash, which line protocol can't represent
  */
 export function format(measurement, tags, fields, timestamp) {
+  if (measurement !== null && typeof measurement === 'object') {
+    ({ measurement, tags, fields, timestamp } = measurement);
+  }
+
   // Format measurement and tags
-  let line = measurement;
-  
+  let line = escapeMeasurement(measurement);
+
   if (tags && Object.keys(tags).length > 0) {
     const tagStrings = [];
     for (const [key, value] of Object.entries(tags)) {
-      tagStrings.push(`${key}=${value}`);
+      tagStrings.push(`${escapeKey(key)}=${escapeKey(value)}`);
     }
     line += ',' + tagStrings.join(',');
   }
-  
+
   // Format fields
   const fieldStrings = [];
   for (const [key, value] of Object.entries(fields)) {
-    if (typeof value === 'string') {
-      fieldStrings.push(`${key}="${value}"`);
-    } else if (typeof value === 'boolean') {
-      fieldStrings.push(`${key}=${value ? 't' : 'f'}`);
-    } else if (Number.isInteger(value)) {
-      fieldStrings.push(`${key}=${value}i`);
-    } else {
-      fieldStrings.push(`${key}=${value}`);
-    }
+    fieldStrings.push(`${escapeKey(key)}=${formatFieldValue(value)}`);
   }
-  
+
   line += ' ' + fieldStrings.join(',');
-  
+
   // Add timestamp if provided
-  if (timestamp !== undefined) {
+  if (timestamp !== undefined && timestamp !== null) {
     line += ` ${timestamp}`;
   }
-  
+
   return line;
 }
 
 export default {
   parse,
-  format
+  parseWithErrors,
+  parseStream,
+  format,
+  precisionMultiplier
 };
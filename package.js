@@ -9,6 +9,7 @@
   },
   "dependencies": {
     "@evan/duckdb": "^0.1.5",
+    "apache-arrow": "^17.0.0",
     "hono": "^3.12.0"
   },
   "devDependencies": {
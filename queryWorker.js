@@ -0,0 +1,139 @@
+import { parentPort, workerData } from 'worker_threads';
+import { open } from '@evan/duckdb';
+import { applySettings } from './sqlSandbox.js';
+
+/**
+ * Query worker of QueryPool: runs the queries it is sent on its own DuckDB
+ * instance, so a long query only blocks this thread.
+ *
+ * Messages are {job, type, sql, values, chunkSize, maxRows} with type:
+ * - query: run a statement, replying with all of its rows, or with its first
+ *   maxRows + 1 rows when maxRows is given
+ * - stream: start streaming a statement, replying with its first chunk of rows
+ * - next: reply with the next chunk of the stream
+ * - close: stop the stream
+ * Replies are {job, rows, done} or {job, error}, after a {ready} message
+ * once DuckDB is open.
+ */
+
+const db = open(':memory:');
+const connection = db.connect();
+applySettings(connection, workerData.settings || []);
+parentPort.postMessage({ ready: true });
+
+// The open stream: {iterator, statement, chunkSize}
+let stream = null;
+
+/**
+ * Run a statement, binding parameters through a prepared statement when there are any
+ */
+function run(sql, values) {
+  if (!values.length) {
+    return connection.query(sql);
+  }
+  const statement = connection.prepare(sql);
+  try {
+    return statement.query(...values);
+  } finally {
+    statement.close();
+  }
+}
+
+/**
+ * Start reading the rows of a statement one at a time
+ * @returns {Object} - {iterator, statement}, to close with closeRows()
+ */
+function openRows(sql, values) {
+  const opened = { iterator: null, statement: values.length ? connection.prepare(sql) : null };
+  try {
+    const rows = opened.statement ? opened.statement.stream(...values) : connection.stream(sql);
+    opened.iterator = rows[Symbol.asyncIterator] ? rows[Symbol.asyncIterator]() : rows[Symbol.iterator]();
+    return opened;
+  } catch (error) {
+    if (opened.statement) opened.statement.close();
+    throw error;
+  }
+}
+
+/**
+ * Stop reading rows opened with openRows()
+ */
+function closeRows({ iterator, statement }) {
+  try {
+    iterator?.return?.();
+  } finally {
+    if (statement) statement.close();
+  }
+}
+
+/**
+ * Read the first rows of a statement, without materializing the others
+ */
+async function firstRows(sql, values, count) {
+  const opened = openRows(sql, values);
+  const rows = [];
+  try {
+    while (rows.length < count) {
+      const { value, done } = await opened.iterator.next();
+      if (done) break;
+      rows.push(value);
+    }
+    return rows;
+  } finally {
+    closeRows(opened);
+  }
+}
+
+/**
+ * Stop the open stream, if any
+ */
+function closeStream() {
+  if (!stream) return;
+  const current = stream;
+  stream = null;
+  closeRows(current);
+}
+
+/**
+ * Read the next chunk of rows of the open stream
+ */
+async function nextChunk() {
+  const rows = [];
+  while (rows.length < stream.chunkSize) {
+    const { value, done } = await stream.iterator.next();
+    if (done) {
+      closeStream();
+      return { rows, done: true };
+    }
+    rows.push(value);
+  }
+  return { rows, done: false };
+}
+
+parentPort.on('message', async ({ job, type, sql, values = [], chunkSize, maxRows }) => {
+  try {
+    switch (type) {
+      case 'query':
+        parentPort.postMessage({ job, rows: maxRows ? await firstRows(sql, values, maxRows + 1) : run(sql, values), done: true });
+        break;
+      case 'stream':
+        closeStream();
+        stream = { ...openRows(sql, values), chunkSize };
+        parentPort.postMessage({ job, ...await nextChunk() });
+        break;
+      case 'next':
+        if (!stream) throw new Error('No open stream');
+        parentPort.postMessage({ job, ...await nextChunk() });
+        break;
+      case 'close':
+        closeStream();
+        parentPort.postMessage({ job, rows: [], done: true });
+        break;
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    if (type === 'stream' || type === 'next') closeStream();
+    parentPort.postMessage({ job, error: error.message });
+  }
+});
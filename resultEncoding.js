@@ -0,0 +1,352 @@
+import { parseTimeLiteral } from './timeExpressions.js';
+
+/**
+ * Type-driven encoding of DuckDB result values for responses.
+ *
+ * Values are encoded from the column types DuckDB reports for a query, so
+ * every row of a column is encoded the same way:
+ * - the GigAPI `time` column (BIGINT nanoseconds) and TIMESTAMP columns follow
+ *   the timestamp format: ISO 8601 with nanoseconds, epoch ns or epoch ms
+ * - 64-bit and larger integers follow the BigInt format: strings (safe for
+ *   JavaScript clients) or plain JSON numbers with every digit
+ * - DECIMAL values are numbers up to 15 digits of precision, strings beyond
+ * - LIST, ARRAY, STRUCT and MAP values are encoded element by element
+ */
+
+export const TIMESTAMP_FORMATS = ['iso', 'ns', 'ms'];
+export const BIGINT_FORMATS = ['string', 'number'];
+
+const WIDE_INTEGER_TYPES = new Set(['BIGINT', 'UBIGINT', 'HUGEINT', 'UHUGEINT']);
+const INTEGER_TYPES = new Set(['TINYINT', 'SMALLINT', 'INTEGER', 'UTINYINT', 'USMALLINT', 'UINTEGER', ...WIDE_INTEGER_TYPES]);
+const FLOAT_TYPES = new Set(['FLOAT', 'DOUBLE']);
+
+// Nanoseconds per stored unit of each timestamp type
+const TIMESTAMP_UNITS = {
+  TIMESTAMP: 1000n,
+  TIMESTAMPTZ: 1000n,
+  TIMESTAMP_NS: 1n,
+  TIMESTAMP_MS: 1000000n,
+  TIMESTAMP_S: 1000000000n
+};
+
+// Canonical names of type aliases DuckDB may report
+const TYPE_ALIASES = {
+  'TIMESTAMP WITH TIME ZONE': 'TIMESTAMPTZ',
+  'TIME WITH TIME ZONE': 'TIMETZ',
+  INT: 'INTEGER',
+  INT4: 'INTEGER',
+  INT8: 'BIGINT',
+  LONG: 'BIGINT',
+  REAL: 'FLOAT',
+  FLOAT4: 'FLOAT',
+  FLOAT8: 'DOUBLE',
+  NUMERIC: 'DECIMAL',
+  STRING: 'VARCHAR',
+  TEXT: 'VARCHAR',
+  BOOL: 'BOOLEAN'
+};
+
+/**
+ * Validate response encoding options, filling in defaults
+ * @param {Object} [options]
+ * @param {string} [options.timeFormat='ns'] - iso, ns or ms
+ * @param {string} [options.bigint='string'] - string or number
+ * @returns {Object} - {timeFormat, bigint}
+ */
+export function encodingOptions({ timeFormat, bigint } = {}) {
+  const options = {
+    timeFormat: (timeFormat || 'ns').toLowerCase(),
+    bigint: (bigint || 'string').toLowerCase()
+  };
+
+  if (!TIMESTAMP_FORMATS.includes(options.timeFormat)) {
+    const error = new Error(`Invalid time format '${timeFormat}', expected one of: ${TIMESTAMP_FORMATS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  if (!BIGINT_FORMATS.includes(options.bigint)) {
+    const error = new Error(`Invalid bigint format '${bigint}', expected one of: ${BIGINT_FORMATS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return options;
+}
+
+/**
+ * Parse a DuckDB type name, as reported by DESCRIBE
+ * @param {string} text - Type name, e.g. "DECIMAL(18,3)" or "STRUCT(a INTEGER, b VARCHAR[])"
+ * @returns {Object} - Type descriptor {id, ...}: DECIMAL has precision and scale,
+ *   LIST and ARRAY a child, STRUCT and UNION fields, MAP key and value
+ */
+export function parseDuckdbType(text) {
+  let pos = 0;
+  const source = String(text);
+
+  const skipSpaces = () => {
+    while (source[pos] === ' ') pos++;
+  };
+
+  const readName = () => {
+    skipSpaces();
+    if (source[pos] === '"') {
+      let name = '';
+      pos++;
+      while (pos < source.length) {
+        if (source[pos] === '"' && source[pos + 1] === '"') {
+          name += '"';
+          pos += 2;
+        } else if (source[pos] === '"') {
+          pos++;
+          break;
+        } else {
+          name += source[pos++];
+        }
+      }
+      return name;
+    }
+    const match = /[^\s(),[\]]+/y;
+    match.lastIndex = pos;
+    const word = match.exec(source)?.[0] || '';
+    pos += word.length;
+    return word;
+  };
+
+  const parseType = () => {
+    // Multi-word names end at a delimiter: TIMESTAMP WITH TIME ZONE
+    const words = [readName()];
+    skipSpaces();
+    while (pos < source.length && !'(),[]'.includes(source[pos])) {
+      words.push(readName());
+      skipSpaces();
+    }
+    const name = words.join(' ').toUpperCase();
+    let type = { id: TYPE_ALIASES[name] || name };
+
+    if (source[pos] === '(') {
+      pos++;
+      if (type.id === 'STRUCT' || type.id === 'UNION') {
+        type.fields = [];
+        while (pos < source.length && source[pos] !== ')') {
+          const fieldName = readName();
+          type.fields.push({ name: fieldName, type: parseType() });
+          skipSpaces();
+          if (source[pos] === ',') pos++;
+        }
+      } else if (type.id === 'MAP') {
+        type.key = parseType();
+        if (source[pos] === ',') pos++;
+        type.value = parseType();
+      } else {
+        const end = source.indexOf(')', pos);
+        const args = source.slice(pos, end).split(',').map(arg => parseInt(arg));
+        if (type.id === 'DECIMAL') {
+          type.precision = args[0];
+          type.scale = args[1] || 0;
+        }
+        pos = end;
+      }
+      skipSpaces();
+      pos++; // )
+    }
+
+    skipSpaces();
+    while (source[pos] === '[') {
+      const end = source.indexOf(']', pos);
+      const size = source.slice(pos + 1, end).trim();
+      type = size ? { id: 'ARRAY', child: type, size: parseInt(size) } : { id: 'LIST', child: type };
+      pos = end + 1;
+      skipSpaces();
+    }
+    return type;
+  };
+
+  return parseType();
+}
+
+/**
+ * Check whether a column holds nanosecond timestamps: the GigAPI `time`
+ * column, stored as BIGINT epoch nanoseconds
+ * @param {Object} column - {name, type}
+ * @returns {boolean}
+ */
+export function isTimeColumn(column) {
+  return column.name === 'time' && INTEGER_TYPES.has(parseDuckdbType(column.type).id);
+}
+
+/**
+ * Classify a result column by how its values are encoded
+ * @param {Object} column - {name, type}
+ * @returns {string} - timestamp, date, int64, integer, float, decimal, boolean, nested or text
+ */
+export function columnKind(column) {
+  const type = parseDuckdbType(column.type);
+  if (isTimeColumn(column) || TIMESTAMP_UNITS[type.id]) return 'timestamp';
+  if (type.id === 'DATE') return 'date';
+  if (type.id === 'BIGINT') return 'int64';
+  if (INTEGER_TYPES.has(type.id) && !WIDE_INTEGER_TYPES.has(type.id)) return 'integer';
+  if (FLOAT_TYPES.has(type.id)) return 'float';
+  if (type.id === 'DECIMAL') return type.precision > 15 ? 'text' : 'decimal';
+  if (type.id === 'BOOLEAN') return 'boolean';
+  if (['LIST', 'ARRAY', 'STRUCT', 'MAP', 'UNION'].includes(type.id)) return 'nested';
+  return 'text';
+}
+
+/**
+ * Convert a timestamp value to nanoseconds since epoch
+ * @private
+ */
+function timestampNs(value, unit) {
+  if (value instanceof Date) return BigInt(value.getTime()) * 1000000n;
+  if (typeof value === 'bigint') return value * unit;
+  if (typeof value === 'number') return BigInt(Math.trunc(value)) * unit;
+  return parseTimeLiteral(value);
+}
+
+/**
+ * Format nanoseconds as ISO 8601 with up to nanosecond precision
+ * @param {BigInt} ns - Nanoseconds since epoch
+ * @returns {string}
+ */
+export function formatIsoNs(ns) {
+  let ms = ns / 1000000n;
+  if (ns < 0n && ms * 1000000n !== ns) ms -= 1n;
+  const seconds = new Date(Number(ms)).toISOString().slice(0, 19);
+
+  let fraction = ns % 1000000000n;
+  if (fraction < 0n) fraction += 1000000000n;
+  const digits = fraction.toString().padStart(9, '0').replace(/0+$/, '');
+  return `${seconds}${digits ? `.${digits}` : ''}Z`;
+}
+
+/**
+ * Write an unscaled DECIMAL integer with its decimal point
+ * @private
+ */
+function scaledDecimal(value, scale) {
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(scale + 1, '0');
+  const text = scale ? `${digits.slice(0, -scale)}.${digits.slice(-scale)}` : digits;
+  return negative ? `-${text}` : text;
+}
+
+/**
+ * Build the encoder of a value of a given type
+ * @private
+ */
+function valueEncoder(type, options, isTime = false) {
+  const bigint = value => options.bigint === 'string' ? value.toString() : value;
+
+  const timestamp = unit => value => {
+    const ns = timestampNs(value, unit);
+    if (ns === null) return value;
+    if (options.timeFormat === 'iso') return formatIsoNs(ns);
+    if (options.timeFormat === 'ms') return Number(ns / 1000000n);
+    return bigint(ns);
+  };
+
+  if (isTime) return timestamp(1n);
+  if (TIMESTAMP_UNITS[type.id]) return timestamp(TIMESTAMP_UNITS[type.id]);
+
+  if (type.id === 'DATE') {
+    return value => {
+      if (value instanceof Date) return value.toISOString().slice(0, 10);
+      if (typeof value === 'number') return new Date(value * 86400000).toISOString().slice(0, 10);
+      return value;
+    };
+  }
+
+  if (WIDE_INTEGER_TYPES.has(type.id)) {
+    return value => typeof value === 'bigint' ? bigint(value) : value;
+  }
+  if (INTEGER_TYPES.has(type.id)) {
+    return value => typeof value === 'bigint' ? Number(value) : value;
+  }
+  if (FLOAT_TYPES.has(type.id)) {
+    // JSON has no NaN or Infinity
+    return value => Number.isFinite(value) ? value : String(value);
+  }
+
+  if (type.id === 'DECIMAL') {
+    return value => {
+      const text = typeof value === 'bigint' ? scaledDecimal(value, type.scale) : String(value);
+      return type.precision > 15 ? text : Number(text);
+    };
+  }
+
+  if (type.id === 'LIST' || type.id === 'ARRAY') {
+    const child = valueEncoder(type.child, options);
+    return value => Array.from(value, item => item === null || item === undefined ? null : child(item));
+  }
+
+  if (type.id === 'STRUCT') {
+    const fields = type.fields.map(field => [field.name, valueEncoder(field.type, options)]);
+    return value => Object.fromEntries(fields.map(([name, encode]) => {
+      const item = value[name];
+      return [name, item === null || item === undefined ? null : encode(item)];
+    }));
+  }
+
+  if (type.id === 'MAP') {
+    const encodeValue = valueEncoder(type.value, options);
+    return value => {
+      const entries = value instanceof Map
+        ? [...value.entries()]
+        : Array.isArray(value) ? value.map(entry => [entry.key, entry.value]) : Object.entries(value);
+      return Object.fromEntries(entries.map(([key, item]) => [String(key), item === null || item === undefined ? null : encodeValue(item)]));
+    };
+  }
+
+  if (type.id === 'BLOB') {
+    return value => value instanceof Uint8Array ? Buffer.from(value).toString('base64') : value;
+  }
+
+  return value => fallbackEncode(value, options);
+}
+
+/**
+ * Encode a value without type information
+ * @private
+ */
+function fallbackEncode(value, options) {
+  if (typeof value === 'bigint') return options.bigint === 'string' ? value.toString() : value;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Create a row encoder for the columns of a result
+ * @param {Array|null} columns - Result columns as {name, type}; without them values
+ *   are encoded from their JavaScript type
+ * @param {Object} options - Encoding options (see encodingOptions)
+ * @returns {Function} - Encodes a row object
+ */
+export function createRowEncoder(columns, options) {
+  if (!columns) {
+    return row => Object.fromEntries(Object.entries(row).map(([name, value]) => [name, fallbackEncode(value, options)]));
+  }
+
+  const encoders = columns.map(column => [
+    column.name,
+    valueEncoder(parseDuckdbType(column.type), options, isTimeColumn(column))
+  ]);
+
+  return row => {
+    const encoded = {};
+    for (const [name, encode] of encoders) {
+      const value = row[name];
+      encoded[name] = value === null || value === undefined ? null : encode(value);
+    }
+    return encoded;
+  };
+}
+
+export default {
+  TIMESTAMP_FORMATS,
+  BIGINT_FORMATS,
+  encodingOptions,
+  parseDuckdbType,
+  isTimeColumn,
+  columnKind,
+  formatIsoNs,
+  createRowEncoder
+};
@@ -0,0 +1,340 @@
+import {
+  Schema,
+  Field,
+  Struct,
+  Int32,
+  Int64,
+  Float64,
+  Bool,
+  Utf8,
+  RecordBatch,
+  RecordBatchStreamWriter,
+  Table,
+  makeData,
+  vectorFromArray,
+  tableToIPC
+} from 'apache-arrow';
+import { createRowEncoder, columnKind, encodingOptions } from './resultEncoding.js';
+
+/**
+ * Response formats of the query endpoint and their content types
+ */
+export const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  arrow: 'application/vnd.apache.arrow.stream',
+  parquet: 'application/vnd.apache.parquet'
+};
+
+// Media types (and ?format= aliases) accepted for each format
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/vnd.apache.arrow.stream': 'arrow',
+  'application/vnd.apache.parquet': 'parquet',
+  'application/x-parquet': 'parquet',
+  'application/*': 'json',
+  '*/*': 'json'
+};
+
+const FORMAT_ALIASES = { jsonl: 'ndjson', arrows: 'arrow', ipc: 'arrow' };
+
+/**
+ * Pick the response format from a `format` parameter or the Accept header
+ * @param {string} [accept] - Accept header
+ * @param {string} [format] - Explicit format (json, csv, ndjson, arrow, parquet)
+ * @returns {string} - Format name, json by default
+ */
+export function negotiateFormat(accept, format) {
+  if (format) {
+    const name = FORMAT_ALIASES[format.toLowerCase()] || format.toLowerCase();
+    if (!FORMATS[name]) {
+      const error = new Error(`Unsupported format '${format}', expected one of: ${Object.keys(FORMATS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return name;
+  }
+
+  if (!accept) {
+    return 'json';
+  }
+
+  // Media ranges by descending quality, keeping the header order for ties
+  const ranges = accept.split(',')
+    .map((range, index) => {
+      const [type, ...parameters] = range.split(';').map(part => part.trim().toLowerCase());
+      const q = parameters.find(parameter => parameter.startsWith('q='));
+      return { type, quality: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const { type } of ranges) {
+    if (MEDIA_TYPES[type]) {
+      return MEDIA_TYPES[type];
+    }
+  }
+
+  const error = new Error(`Not acceptable: ${accept}. Supported types: ${Object.values(FORMATS).map(type => type.split(';')[0]).join(', ')}`);
+  error.status = 406;
+  throw error;
+}
+
+/**
+ * Serialize a value as JSON, writing BigInt as plain integers so no digits are lost
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+export function toJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(toJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}:${toJson(item)}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Render a single CSV field
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = toJson(value);
+  else text = String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Column names of a result, in order of first appearance
+ * @private
+ */
+function columnNames(rows) {
+  const names = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) names.add(key);
+  }
+  return [...names];
+}
+
+/**
+ * Encode rows as CSV with a header line
+ * @param {Array} rows - Result rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const columns = columnNames(rows);
+  return csvLines([columns.map(csvField).join(',')], rows, columns);
+}
+
+/**
+ * Append CSV lines of rows to a list of lines and join them
+ * @private
+ */
+function csvLines(lines, rows, columns) {
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return lines.length ? `${lines.join('\r\n')}\r\n` : '';
+}
+
+/**
+ * Encode rows as newline-delimited JSON, one object per line
+ * @param {Array} rows - Result rows
+ * @returns {string}
+ */
+export function toNdjson(rows) {
+  return rows.map(row => `${toJson(row)}\n`).join('');
+}
+
+/**
+ * Arrow type of a result column. Values are the encoded ones, so timestamps
+ * are Int64 epoch ns/ms or ISO text depending on the timestamp format.
+ * @private
+ */
+function arrowType(column, options) {
+  switch (column.type ? columnKind(column) : 'text') {
+    case 'timestamp':
+      return options.timeFormat === 'iso' ? new Utf8() : new Int64();
+    case 'int64':
+      return new Int64();
+    case 'integer':
+      return new Int32();
+    case 'float':
+    case 'decimal':
+      return new Float64();
+    case 'boolean':
+      return new Bool();
+    default:
+      return new Utf8();
+  }
+}
+
+/**
+ * Convert an encoded value to what the Arrow builder of a column type expects
+ * @private
+ */
+function arrowValue(value, type) {
+  if (value === null || value === undefined) return null;
+
+  if (type instanceof Int64) {
+    if (typeof value === 'bigint') return value;
+    const number = Number(value);
+    return Number.isFinite(number) ? BigInt(Math.trunc(number)) : null;
+  }
+  if (type instanceof Int32 || type instanceof Float64) return Number(value);
+  if (type instanceof Bool) return Boolean(value);
+
+  return typeof value === 'object' ? toJson(value) : String(value);
+}
+
+/**
+ * Arrow schema of a result. Nested values are written as JSON text.
+ * @param {Array|null} columns - Result columns as {name, type}; without them every column is text
+ * @param {Object} options - Encoding options (see encodingOptions)
+ * @param {Array} [rows] - Rows to take column names from when columns are unknown
+ * @returns {Schema}
+ */
+export function arrowSchema(columns, options, rows = []) {
+  const resultColumns = columns || columnNames(rows).map(name => ({ name, type: null }));
+  return new Schema(resultColumns.map(column => new Field(column.name, arrowType(column, options), true)));
+}
+
+/**
+ * Build an Arrow record batch of encoded rows with a fixed schema, so that
+ * every batch of a stream has the same schema
+ * @param {Schema} schema - Arrow schema
+ * @param {Array} rows - Encoded rows
+ * @returns {RecordBatch}
+ */
+export function arrowBatch(schema, rows) {
+  const children = schema.fields.map(field => {
+    const vector = vectorFromArray(rows.map(row => arrowValue(row[field.name], field.type)), field.type);
+    return vector.data[0] || makeData({ type: field.type, length: 0 });
+  });
+
+  return new RecordBatch(schema, makeData({ type: new Struct(schema.fields), length: rows.length, nullCount: 0, children }));
+}
+
+/**
+ * Encode rows as an Apache Arrow IPC stream
+ * @param {Array} rows - Result rows
+ * @param {Array|null} columns - Result columns as {name, type}
+ * @param {Object} options - Encoding options (see encodingOptions)
+ * @returns {Uint8Array}
+ */
+export function toArrow(rows, columns, options) {
+  // Arrow has native 64-bit integers, so BigInt values are kept as they are
+  const arrowOptions = { ...options, bigint: 'number' };
+  const encode = createRowEncoder(columns, arrowOptions);
+  return tableToIPC(new Table([arrowBatch(arrowSchema(columns, arrowOptions, rows), rows.map(encode))]), 'stream');
+}
+
+/**
+ * Stream chunks of result rows as an encoded response body. Chunks are pulled
+ * only when the consumer reads, so a slow client slows the query down instead
+ * of buffering results; cancelling the body stops the query.
+ * @param {AsyncIterator} chunks - Iterator of row arrays, e.g. from QueryClient.queryStream()
+ * @param {string} format - csv, ndjson or arrow
+ * @param {Object} [options]
+ * @param {Array} [options.columns] - Result columns as {name, type}, used to encode values
+ * @param {Object} [options.encoding] - Encoding options (see encodingOptions)
+ * @param {Array} [options.firstChunk] - A chunk already taken from the iterator
+ * @returns {ReadableStream} - Stream of encoded bytes
+ */
+export function streamResults(chunks, format, { columns = null, encoding = encodingOptions(), firstChunk = null } = {}) {
+  let pending = firstChunk;
+  const nextChunk = async () => {
+    if (pending) {
+      const chunk = pending;
+      pending = null;
+      return { value: chunk, done: false };
+    }
+    return chunks.next();
+  };
+
+  if (format === 'arrow') {
+    // Arrow has native 64-bit integers, so BigInt values are kept as they are
+    const arrowEncoding = { ...encoding, bigint: 'number' };
+    const encode = createRowEncoder(columns, arrowEncoding);
+    let schema = columns ? arrowSchema(columns, arrowEncoding) : null;
+    let written = false;
+    const batches = new ReadableStream({
+      async pull(controller) {
+        const { value, done } = await nextChunk();
+        if (done) {
+          // An empty result still needs a schema message
+          if (!written) controller.enqueue(arrowBatch(schema || new Schema([]), []));
+          controller.close();
+          return;
+        }
+        schema = schema || arrowSchema(null, arrowEncoding, value);
+        controller.enqueue(arrowBatch(schema, value.map(encode)));
+        written = true;
+      },
+      cancel() {
+        return chunks.return();
+      }
+    }, { highWaterMark: 0 });
+
+    return batches.pipeThrough(RecordBatchStreamWriter.throughDOM());
+  }
+
+  const encode = createRowEncoder(columns, encoding);
+  const textEncoder = new TextEncoder();
+  let names = columns ? columns.map(column => column.name) : null;
+  let headerWritten = false;
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await nextChunk();
+      if (done) {
+        // A CSV of an empty result with a known schema still has its header
+        if (format === 'csv' && !headerWritten && names && names.length) {
+          controller.enqueue(textEncoder.encode(csvLines([names.map(csvField).join(',')], [], names)));
+        }
+        controller.close();
+        return;
+      }
+
+      const rows = value.map(encode);
+      let text;
+      if (format === 'csv') {
+        names = names || columnNames(rows);
+        const header = headerWritten ? [] : [names.map(csvField).join(',')];
+        headerWritten = true;
+        text = csvLines(header, rows, names);
+      } else {
+        text = toNdjson(rows);
+      }
+      controller.enqueue(textEncoder.encode(text));
+    },
+    cancel() {
+      return chunks.return();
+    }
+  }, { highWaterMark: 0 });
+}
+
+export default {
+  FORMATS,
+  negotiateFormat,
+  toJson,
+  toCsv,
+  toNdjson,
+  arrowSchema,
+  arrowBatch,
+  toArrow,
+  streamResults
+};
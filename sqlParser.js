@@ -0,0 +1,1286 @@
+/**
+ * SQL tokenizer and parser producing a lightweight AST for the queries
+ * GigAPI runs through DuckDB.
+ *
+ * The parser understands the structure QueryClient needs to rewrite queries:
+ * CTEs, set operations, subqueries, joins, table references and table
+ * functions, and full expression trees (so time predicates can be found
+ * structurally). Every node carries `start`/`end` offsets into the original
+ * SQL, so rewrites are done by splicing replacements into the source text
+ * and everything that isn't rewritten is passed to DuckDB untouched.
+ */
+
+/**
+ * Error thrown for SQL the parser can't make sense of
+ */
+export class SqlParseError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position}`);
+    this.name = 'SqlParseError';
+    this.position = position;
+    this.status = 400;
+  }
+}
+
+// Words that end an expression or can't be used as an implicit alias
+const RESERVED = new Set([
+  'ALL', 'AND', 'ANTI', 'AS', 'ASC', 'ASOF', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC', 'DISTINCT',
+  'ELSE', 'END', 'EXCEPT', 'FETCH', 'FILTER', 'FOR', 'FROM', 'FULL', 'GLOB', 'GROUP', 'HAVING',
+  'ILIKE', 'IN', 'INNER', 'INTERSECT', 'INTO', 'IS', 'ISNULL', 'JOIN', 'LATERAL', 'LEFT', 'LIKE',
+  'LIMIT', 'NATURAL', 'NOT', 'NOTNULL', 'NULLS', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER',
+  'PIVOT', 'POSITIONAL', 'QUALIFY', 'RETURNING', 'RIGHT', 'SAMPLE', 'SELECT', 'SEMI', 'SIMILAR',
+  'TABLESAMPLE', 'THEN', 'UNION', 'UNPIVOT', 'USING', 'VALUES', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+]);
+
+// Keywords allowed between function arguments, e.g. EXTRACT(year FROM time)
+const ARGUMENT_KEYWORDS = new Set([
+  'ALL', 'AS', 'ASC', 'BOTH', 'BY', 'DESC', 'DISTINCT', 'FIRST', 'FOR', 'FROM', 'IGNORE', 'LAST',
+  'LEADING', 'NULLS', 'ORDER', 'PLACING', 'RESPECT', 'SEPARATOR', 'TRAILING'
+]);
+
+const COMPARISON_OPERATORS = new Set(['=', '==', '<>', '!=', '<', '>', '<=', '>=']);
+
+const OPERATORS = [
+  '->>', '::', '->', '>=', '<=', '<>', '!=', '==', '||', '**', '//', '~~',
+  '=', '<', '>', '+', '-', '*', '/', '%', '(', ')', ',', '.', ';', '[', ']', '{', '}', ':', '&', '|', '^', '~', '!', '@'
+];
+
+const TYPED_LITERAL_TYPES = new Set(['DATE', 'TIME', 'TIMESTAMP', 'TIMESTAMPTZ', 'INTERVAL']);
+
+/**
+ * Split SQL into tokens, skipping whitespace and comments
+ * @param {string} sql - SQL text
+ * @returns {Array} - Tokens as {type, value, start, end}
+ */
+export function tokenize(sql) {
+  const tokens = [];
+  let pos = 0;
+
+  const matchAt = (regex) => {
+    regex.lastIndex = pos;
+    const match = regex.exec(sql);
+    return match ? match[0] : null;
+  };
+
+  while (pos < sql.length) {
+    const char = sql[pos];
+
+    // Whitespace
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    // Comments
+    if (sql.startsWith('--', pos)) {
+      const end = sql.indexOf('\n', pos);
+      pos = end === -1 ? sql.length : end + 1;
+      continue;
+    }
+    if (sql.startsWith('/*', pos)) {
+      const end = sql.indexOf('*/', pos + 2);
+      if (end === -1) throw new SqlParseError('Unterminated comment', pos);
+      pos = end + 2;
+      continue;
+    }
+
+    const start = pos;
+
+    // String literal with '' escapes
+    if (char === '\'') {
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= sql.length) throw new SqlParseError('Unterminated string literal', start);
+        if (sql[pos] === '\'') {
+          if (sql[pos + 1] === '\'') {
+            value += '\'';
+            pos += 2;
+            continue;
+          }
+          pos++;
+          break;
+        }
+        value += sql[pos++];
+      }
+      tokens.push({ type: 'string', value, start, end: pos });
+      continue;
+    }
+
+    // Quoted identifier with "" escapes
+    if (char === '"') {
+      let value = '';
+      pos++;
+      for (;;) {
+        if (pos >= sql.length) throw new SqlParseError('Unterminated quoted identifier', start);
+        if (sql[pos] === '"') {
+          if (sql[pos + 1] === '"') {
+            value += '"';
+            pos += 2;
+            continue;
+          }
+          pos++;
+          break;
+        }
+        value += sql[pos++];
+      }
+      tokens.push({ type: 'quoted', value, start, end: pos });
+      continue;
+    }
+
+    // Dollar-quoted string ($$...$$ or $tag$...$tag$)
+    const dollarTag = matchAt(/\$(?:[A-Za-z_]\w*)?\$/y);
+    if (dollarTag) {
+      const end = sql.indexOf(dollarTag, pos + dollarTag.length);
+      if (end === -1) throw new SqlParseError('Unterminated dollar-quoted string', start);
+      tokens.push({ type: 'string', value: sql.slice(pos + dollarTag.length, end), start, end: end + dollarTag.length });
+      pos = end + dollarTag.length;
+      continue;
+    }
+
+    // Parameters ($1, $name, ?)
+    const parameter = matchAt(/\$(?:\d+|[A-Za-z_]\w*)/y);
+    if (parameter) {
+      tokens.push({ type: 'param', value: parameter.slice(1), start, end: pos += parameter.length });
+      continue;
+    }
+    if (char === '?') {
+      tokens.push({ type: 'param', value: '?', start, end: ++pos });
+      continue;
+    }
+
+    // Unquoted ISO timestamps, kept for compatibility with older clients
+    const timestamp = matchAt(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?(?![\w.])/y);
+    if (timestamp) {
+      tokens.push({ type: 'timestamp', value: timestamp, start, end: pos += timestamp.length });
+      continue;
+    }
+
+    // InfluxQL durations (15m, 1h30m)
+    const duration = matchAt(/(?:\d+(?:ns|us|µs|ms|u|s|m|h|d|w))+(?![\w.])/y);
+    if (duration) {
+      tokens.push({ type: 'duration', value: duration, start, end: pos += duration.length });
+      continue;
+    }
+
+    // Numbers
+    const number = matchAt(/(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?/y);
+    if (number) {
+      tokens.push({ type: 'number', value: number, start, end: pos += number.length });
+      continue;
+    }
+
+    // Identifiers and keywords
+    const identifier = matchAt(/[A-Za-z_\u0080-￿][\w$\u0080-￿]*/y);
+    if (identifier) {
+      tokens.push({ type: 'ident', value: identifier, upper: identifier.toUpperCase(), start, end: pos += identifier.length });
+      continue;
+    }
+
+    // Operators and punctuation
+    const operator = OPERATORS.find(op => sql.startsWith(op, pos));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, start, end: pos += operator.length });
+      continue;
+    }
+
+    throw new SqlParseError(`Unexpected character '${char}'`, pos);
+  }
+
+  tokens.push({ type: 'eof', value: '', start: sql.length, end: sql.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser over the token list
+ * @private
+ */
+class Parser {
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  previousEnd() {
+    return this.pos > 0 ? this.tokens[this.pos - 1].end : 0;
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && token.upper === word;
+  }
+
+  isAnyKeyword(words, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && words.includes(token.upper);
+  }
+
+  acceptKeyword(...words) {
+    if (words.every((word, i) => this.isKeyword(word, i))) {
+      this.pos += words.length;
+      return true;
+    }
+    return false;
+  }
+
+  expectKeyword(word) {
+    if (!this.acceptKeyword(word)) {
+      this.fail(`Expected ${word}`);
+    }
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'op' && token.value === value;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectOp(value) {
+    if (!this.acceptOp(value)) {
+      this.fail(`Expected '${value}'`);
+    }
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const found = token.type === 'eof' ? 'end of query' : `'${this.sql.slice(token.start, token.end)}'`;
+    throw new SqlParseError(`${message} but found ${found}`, token.start);
+  }
+
+  node(type, start, props) {
+    return { type, ...props, start, end: this.previousEnd() };
+  }
+
+  /**
+   * Skip a balanced bracket group starting at the current opening token
+   */
+  skipBalanced() {
+    const open = this.next().value;
+    const close = { '(': ')', '[': ']', '{': '}' }[open];
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.next();
+      if (token.type === 'eof') this.fail(`Expected '${close}'`);
+      if (token.type === 'op' && token.value === open) depth++;
+      if (token.type === 'op' && token.value === close) depth--;
+    }
+  }
+
+  startsQuery(offset = 0) {
+    return this.isAnyKeyword(['SELECT', 'WITH', 'VALUES', 'FROM'], offset);
+  }
+
+  // Statements
+
+  parseStatement() {
+    const start = this.peek().start;
+    let statement;
+
+    if (this.isKeyword('EXPLAIN')) {
+      this.next();
+      const analyze = this.acceptKeyword('ANALYZE');
+      const query = this.parseQuery();
+      statement = this.node('explain', start, { analyze, query });
+    } else if (this.startsQuery() || this.isOp('(')) {
+      statement = this.parseQuery();
+    } else {
+      const keyword = this.peek().type === 'ident' ? this.peek().upper : this.peek().value;
+      while (this.peek().type !== 'eof' && !this.isOp(';')) this.next();
+      statement = this.node('other', start, { keyword });
+    }
+
+    this.acceptOp(';');
+    if (this.peek().type !== 'eof') {
+      throw new SqlParseError('Only a single statement is supported', this.peek().start);
+    }
+    return statement;
+  }
+
+  // Queries
+
+  parseQuery() {
+    const start = this.peek().start;
+    let withClause = null;
+
+    if (this.isKeyword('WITH')) {
+      const withStart = this.next().start;
+      const recursive = this.acceptKeyword('RECURSIVE');
+      const ctes = [];
+      do {
+        const cteStart = this.peek().start;
+        const name = this.parseIdentifier();
+        if (this.isOp('(')) this.skipBalanced();
+        this.expectKeyword('AS');
+        this.acceptKeyword('NOT');
+        this.acceptKeyword('MATERIALIZED');
+        this.expectOp('(');
+        const query = this.parseQuery();
+        this.expectOp(')');
+        ctes.push(this.node('cte', cteStart, { name, query }));
+      } while (this.acceptOp(','));
+      withClause = this.node('with', withStart, { recursive, ctes });
+    }
+
+    const body = this.parseSetExpression();
+
+    let orderBy = null;
+    if (this.acceptKeyword('ORDER', 'BY')) {
+      orderBy = this.parseOrderByList();
+    }
+
+    let limit = null;
+    let offset = null;
+    for (;;) {
+      if (this.acceptKeyword('LIMIT')) {
+        limit = this.parseExpression();
+        if (!this.acceptOp('%')) this.acceptKeyword('PERCENT');
+      } else if (this.acceptKeyword('OFFSET')) {
+        offset = this.parseExpression();
+        this.acceptKeyword('ROWS') || this.acceptKeyword('ROW');
+      } else {
+        break;
+      }
+    }
+
+    return this.node('query', start, { with: withClause, body, orderBy, limit, offset });
+  }
+
+  parseSetExpression() {
+    let left = this.parseSetPrimary();
+
+    while (this.isAnyKeyword(['UNION', 'INTERSECT', 'EXCEPT'])) {
+      const operator = this.next().upper;
+      const all = this.acceptKeyword('ALL');
+      if (!all) this.acceptKeyword('DISTINCT');
+      const byName = this.acceptKeyword('BY', 'NAME');
+      const right = this.parseSetPrimary();
+      left = { type: 'setop', operator, all, byName, left, right, start: left.start, end: right.end };
+    }
+
+    return left;
+  }
+
+  parseSetPrimary() {
+    const start = this.peek().start;
+
+    if (this.isKeyword('SELECT') || this.isKeyword('FROM')) {
+      return this.parseSelect();
+    }
+    if (this.isKeyword('VALUES')) {
+      this.next();
+      const rows = [];
+      do {
+        rows.push(this.parsePrimary());
+      } while (this.acceptOp(','));
+      const alias = this.parseAlias();
+      return this.node('values', start, { rows, alias });
+    }
+    if (this.acceptOp('(')) {
+      const query = this.parseQuery();
+      this.expectOp(')');
+      return this.node('subquery', start, { query });
+    }
+
+    this.fail('Expected SELECT');
+  }
+
+  parseSelect() {
+    const start = this.peek().start;
+    let from = [];
+    let columns = [];
+    let distinct = false;
+
+    // DuckDB allows FROM-first queries: FROM cpu SELECT ... or just FROM cpu
+    const fromFirst = this.acceptKeyword('FROM');
+    if (fromFirst) {
+      from = this.parseFromList();
+    }
+
+    if (this.acceptKeyword('SELECT')) {
+      if (this.acceptKeyword('DISTINCT')) {
+        distinct = true;
+        if (this.acceptKeyword('ON')) this.skipBalanced();
+      } else {
+        this.acceptKeyword('ALL');
+      }
+      columns = this.parseSelectList();
+    } else if (!fromFirst) {
+      this.fail('Expected SELECT');
+    }
+
+    if (!fromFirst && this.acceptKeyword('FROM')) {
+      from = this.parseFromList();
+    }
+
+    let where = null;
+    if (this.acceptKeyword('WHERE')) {
+      where = this.parseExpression();
+    }
+
+    let groupBy = null;
+    if (this.acceptKeyword('GROUP', 'BY')) {
+      groupBy = this.acceptKeyword('ALL') ? 'ALL' : this.parseExpressionList();
+    }
+
+    let having = null;
+    if (this.acceptKeyword('HAVING')) {
+      having = this.parseExpression();
+    }
+
+    if (this.acceptKeyword('WINDOW')) {
+      do {
+        this.parseIdentifier();
+        this.expectKeyword('AS');
+        if (!this.isOp('(')) this.fail("Expected '('");
+        this.skipBalanced();
+      } while (this.acceptOp(','));
+    }
+
+    let qualify = null;
+    if (this.acceptKeyword('QUALIFY')) {
+      qualify = this.parseExpression();
+    }
+
+    return this.node('select', start, { distinct, columns, from, where, groupBy, having, qualify });
+  }
+
+  parseSelectList() {
+    const columns = [];
+    do {
+      const start = this.peek().start;
+      let expr;
+
+      if (this.isOp('*')) {
+        this.next();
+        expr = this.node('star', start, { qualifier: null });
+        this.skipStarModifiers();
+      } else {
+        expr = this.parseExpression();
+        if (expr.type === 'star') this.skipStarModifiers();
+      }
+
+      const alias = expr.type === 'star' ? null : this.parseAlias({ allowString: true });
+      columns.push(this.node('column_item', start, { expr, alias }));
+    } while (this.acceptOp(','));
+    return columns;
+  }
+
+  skipStarModifiers() {
+    while (this.isAnyKeyword(['EXCLUDE', 'REPLACE', 'RENAME'])) {
+      this.next();
+      if (this.isOp('(')) this.skipBalanced();
+      else this.parseIdentifier();
+    }
+  }
+
+  parseAlias({ allowString = false, allowColumns = false } = {}) {
+    const start = this.peek().start;
+    const explicit = this.acceptKeyword('AS');
+    const token = this.peek();
+
+    let name = null;
+    if (token.type === 'quoted' || (token.type === 'ident' && (explicit || !RESERVED.has(token.upper)))) {
+      name = this.next().value;
+    } else if (allowString && token.type === 'string') {
+      name = this.next().value;
+    } else if (explicit) {
+      this.fail('Expected alias');
+    } else {
+      return null;
+    }
+
+    if (allowColumns && this.isOp('(')) {
+      this.skipBalanced();
+    }
+    return this.node('alias', start, { name });
+  }
+
+  parseIdentifier() {
+    const token = this.peek();
+    if (token.type === 'ident' || token.type === 'quoted') {
+      this.next();
+      return token.value;
+    }
+    this.fail('Expected identifier');
+  }
+
+  // FROM clause
+
+  parseFromList() {
+    const items = [];
+    do {
+      items.push(this.parseTableExpression());
+    } while (this.acceptOp(','));
+    return items;
+  }
+
+  parseTableExpression() {
+    let left = this.parseTablePrimary();
+
+    for (;;) {
+      const save = this.pos;
+      const natural = this.acceptKeyword('NATURAL');
+      const kinds = [];
+      while (this.isAnyKeyword(['INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'SEMI', 'ANTI', 'ASOF', 'POSITIONAL'])) {
+        kinds.push(this.next().upper);
+      }
+      if (!this.acceptKeyword('JOIN')) {
+        this.pos = save;
+        break;
+      }
+
+      const right = this.parseTablePrimary();
+      let on = null;
+      let using = null;
+      if (this.acceptKeyword('ON')) {
+        on = this.parseExpression();
+      } else if (this.acceptKeyword('USING')) {
+        this.expectOp('(');
+        using = [];
+        do {
+          using.push(this.parseIdentifier());
+        } while (this.acceptOp(','));
+        this.expectOp(')');
+      }
+
+      const kind = [natural ? 'NATURAL' : null, ...kinds].filter(Boolean).join(' ') || 'INNER';
+      left = { type: 'join', kind, left, right, on, using, start: left.start, end: this.previousEnd() };
+    }
+
+    return left;
+  }
+
+  parseTablePrimary() {
+    const start = this.peek().start;
+    const lateral = this.acceptKeyword('LATERAL');
+    let table;
+
+    if (this.isOp('(')) {
+      if (this.startsQuery(1) || this.isOp('(', 1)) {
+        const save = this.pos;
+        try {
+          this.next();
+          const query = this.parseQuery();
+          this.expectOp(')');
+          table = this.node('derived', start, { query, lateral });
+        } catch (error) {
+          if (!(error instanceof SqlParseError)) throw error;
+          this.pos = save;
+        }
+      }
+      if (!table) {
+        this.next();
+        const inner = this.parseTableExpression();
+        this.expectOp(')');
+        table = this.node('nested', start, { table: inner });
+      }
+    } else if (this.peek().type === 'string') {
+      const token = this.next();
+      table = this.node('path', start, { value: token.value });
+    } else {
+      const nameStart = this.peek().start;
+      const parts = [this.parseIdentifier()];
+      while (this.isOp('.') && ['ident', 'quoted'].includes(this.peek(1).type)) {
+        this.next();
+        parts.push(this.parseIdentifier());
+      }
+      const nameEnd = this.previousEnd();
+
+      if (this.isOp('(')) {
+        this.next();
+        const args = this.parseArguments();
+        table = this.node('function', start, { name: parts.join('.'), args, lateral });
+      } else {
+        table = this.node('table', start, {
+          name: parts[parts.length - 1],
+          schema: parts.length > 1 ? parts[parts.length - 2] : null,
+          parts,
+          nameStart,
+          nameEnd
+        });
+      }
+    }
+
+    // Sampling clauses don't matter for rewriting
+    if (this.acceptKeyword('TABLESAMPLE') || this.acceptKeyword('USING', 'SAMPLE')) {
+      while (!this.isOp(',') && !this.isOp(')') && this.peek().type !== 'eof' &&
+             !(this.peek().type === 'ident' && RESERVED.has(this.peek().upper))) {
+        if (this.isOp('(')) this.skipBalanced();
+        else this.next();
+      }
+    }
+
+    table.alias = this.parseAlias({ allowColumns: true });
+    table.end = this.previousEnd();
+    return table;
+  }
+
+  // Expressions
+
+  parseExpressionList() {
+    const items = [];
+    do {
+      items.push(this.parseExpression());
+    } while (this.acceptOp(','));
+    return items;
+  }
+
+  parseOrderByList() {
+    if (this.acceptKeyword('ALL')) {
+      this.acceptKeyword('ASC') || this.acceptKeyword('DESC');
+      return 'ALL';
+    }
+
+    const items = [];
+    do {
+      const start = this.peek().start;
+      const expr = this.parseExpression();
+      const descending = this.acceptKeyword('DESC');
+      if (!descending) this.acceptKeyword('ASC');
+      if (this.acceptKeyword('NULLS')) {
+        this.acceptKeyword('FIRST') || this.acceptKeyword('LAST');
+      }
+      items.push(this.node('order_item', start, { expr, descending }));
+    } while (this.acceptOp(','));
+    return items;
+  }
+
+  parseExpression(options = {}) {
+    const left = this.parseOr(options);
+
+    // Lambdas: x -> x + 1
+    if (this.isOp('->')) {
+      this.next();
+      const right = this.parseExpression(options);
+      return { type: 'lambda', params: left, body: right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseOr(options) {
+    let left = this.parseAnd(options);
+    while (this.isKeyword('OR')) {
+      this.next();
+      const right = this.parseAnd(options);
+      left = { type: 'binary', operator: 'OR', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseAnd(options) {
+    let left = this.parseNot(options);
+    while (this.isKeyword('AND')) {
+      this.next();
+      const right = this.parseNot(options);
+      left = { type: 'binary', operator: 'AND', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseNot(options) {
+    if (this.isKeyword('NOT') && !this.isKeyword('EXISTS', 1)) {
+      const start = this.next().start;
+      const operand = this.parseNot(options);
+      return this.node('unary', start, { operator: 'NOT', operand });
+    }
+    return this.parseComparison(options);
+  }
+
+  parseComparison(options) {
+    let left = this.parseAdditive();
+
+    for (;;) {
+      const token = this.peek();
+
+      if (token.type === 'op' && COMPARISON_OPERATORS.has(token.value)) {
+        this.next();
+        // ANY/ALL/SOME (subquery)
+        this.acceptKeyword('ANY') || this.acceptKeyword('ALL') || this.acceptKeyword('SOME');
+        const right = this.parseAdditive();
+        left = { type: 'binary', operator: token.value, left, right, start: left.start, end: right.end };
+        continue;
+      }
+
+      if (this.isKeyword('IS')) {
+        this.next();
+        const not = this.acceptKeyword('NOT');
+        let value;
+        if (this.acceptKeyword('DISTINCT', 'FROM')) {
+          value = this.parseAdditive();
+        } else {
+          value = this.parsePrimary();
+        }
+        left = { type: 'is', not, expr: left, value, start: left.start, end: this.previousEnd() };
+        continue;
+      }
+
+      if (this.isKeyword('ISNULL') || this.isKeyword('NOTNULL')) {
+        const not = this.next().upper === 'NOTNULL';
+        left = { type: 'is', not, expr: left, value: null, start: left.start, end: this.previousEnd() };
+        continue;
+      }
+
+      const negated = this.isKeyword('NOT') ? 1 : 0;
+
+      if (this.isKeyword('BETWEEN', negated)) {
+        this.pos += negated + 1;
+        this.acceptKeyword('SYMMETRIC');
+        const low = this.parseAdditive();
+        this.expectKeyword('AND');
+        const high = this.parseAdditive();
+        left = { type: 'between', not: !!negated, expr: left, low, high, start: left.start, end: high.end };
+        continue;
+      }
+
+      if (this.isKeyword('IN', negated) && !(options.noIn && !negated)) {
+        this.pos += negated + 1;
+        let list = null;
+        let query = null;
+        if (this.isOp('(') && this.startsQuery(1)) {
+          this.next();
+          query = this.parseQuery();
+          this.expectOp(')');
+        } else if (this.acceptOp('(')) {
+          list = this.isOp(')') ? [] : this.parseExpressionList();
+          this.expectOp(')');
+        } else {
+          // DuckDB allows IN with a list expression
+          list = [this.parseAdditive()];
+        }
+        left = { type: 'in', not: !!negated, expr: left, list, query, start: left.start, end: this.previousEnd() };
+        continue;
+      }
+
+      if (this.isAnyKeyword(['LIKE', 'ILIKE', 'GLOB'], negated) || this.isKeyword('SIMILAR', negated)) {
+        this.pos += negated;
+        let operator = this.next().upper;
+        if (operator === 'SIMILAR') {
+          this.expectKeyword('TO');
+          operator = 'SIMILAR TO';
+        }
+        const pattern = this.parseAdditive();
+        if (this.acceptKeyword('ESCAPE')) this.parseAdditive();
+        left = { type: 'like', operator, not: !!negated, expr: left, pattern, start: left.start, end: this.previousEnd() };
+        continue;
+      }
+
+      if (token.type === 'op' && ['~~', '~', '!'].includes(token.value)) {
+        // Regex and LIKE-style operators (~, !~, ~~, !~~)
+        this.next();
+        while (this.isOp('~') || this.isOp('*')) this.next();
+        const right = this.parseAdditive();
+        left = { type: 'binary', operator: token.value, left, right, start: left.start, end: right.end };
+        continue;
+      }
+
+      return left;
+    }
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (['+', '-', '||', '&', '|'].some(op => this.isOp(op))) {
+      const operator = this.next().value;
+      const right = this.parseMultiplicative();
+      left = { type: 'binary', operator, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (['*', '/', '%', '//', '^', '**', '->>'].some(op => this.isOp(op))) {
+      const operator = this.next().value;
+      const right = this.parseUnary();
+      left = { type: 'binary', operator, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('-') || this.isOp('+') || this.isOp('~')) {
+      const start = this.peek().start;
+      const operator = this.next().value;
+      const operand = this.parseUnary();
+      return this.node('unary', start, { operator, operand });
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let expr = this.parsePrimary();
+
+    for (;;) {
+      if (this.acceptOp('::')) {
+        const dataType = this.parseType();
+        expr = { type: 'cast', expr, dataType, start: expr.start, end: this.previousEnd() };
+      } else if (this.isOp('[')) {
+        this.skipBalanced();
+        expr = { type: 'subscript', expr, start: expr.start, end: this.previousEnd() };
+      } else if (this.isOp('.') && ['ident', 'quoted'].includes(this.peek(1).type) && !this.isOp('(', 2)) {
+        // Field access on an expression, e.g. (struct_col).field
+        this.next();
+        this.parseIdentifier();
+        expr = { type: 'field', expr, start: expr.start, end: this.previousEnd() };
+      } else if (this.isKeyword('COLLATE')) {
+        this.next();
+        this.parseIdentifier();
+        expr = { type: 'collate', expr, start: expr.start, end: this.previousEnd() };
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  parseType() {
+    const start = this.peek().start;
+    let name = this.parseIdentifier().toUpperCase();
+
+    if (name === 'DOUBLE' && this.acceptKeyword('PRECISION')) {
+      name = 'DOUBLE';
+    } else if (name === 'CHARACTER' && this.acceptKeyword('VARYING')) {
+      name = 'VARCHAR';
+    } else if (['TIMESTAMP', 'TIME'].includes(name) && (this.isKeyword('WITH') || this.isKeyword('WITHOUT'))) {
+      const withZone = this.next().upper === 'WITH';
+      this.expectKeyword('TIME');
+      this.expectKeyword('ZONE');
+      if (withZone) name = `${name}TZ`;
+    }
+
+    if (this.isOp('(')) this.skipBalanced();
+    while (this.isOp('[')) this.skipBalanced();
+    return this.node('type', start, { name });
+  }
+
+  parseArguments() {
+    const args = [];
+    while (!this.acceptOp(')')) {
+      if (this.peek().type === 'eof') this.fail("Expected ')'");
+
+      if (this.acceptOp(',')) continue;
+      if (this.isAnyKeyword([...ARGUMENT_KEYWORDS])) {
+        this.next();
+        continue;
+      }
+      args.push(this.parseExpression({ noIn: true }));
+      // position(a IN b)
+      this.acceptKeyword('IN');
+    }
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    const start = token.start;
+
+    switch (token.type) {
+      case 'number':
+        this.next();
+        return this.node('literal', start, { kind: 'number', value: token.value });
+      case 'string':
+        this.next();
+        return this.node('literal', start, { kind: 'string', value: token.value });
+      case 'duration':
+        this.next();
+        return this.node('literal', start, { kind: 'duration', value: token.value });
+      case 'timestamp':
+        this.next();
+        return this.node('literal', start, { kind: 'timestamp', value: token.value });
+      case 'param':
+        this.next();
+        return this.node('param', start, { name: token.value });
+      case 'quoted':
+        return this.parseNameOrCall();
+      case 'ident':
+        return this.parseKeywordExpression();
+      case 'op':
+        break;
+      default:
+        this.fail('Expected expression');
+    }
+
+    if (this.acceptOp('(')) {
+      if (this.startsQuery()) {
+        const query = this.parseQuery();
+        this.expectOp(')');
+        return this.node('subquery', start, { query });
+      }
+      const items = this.parseExpressionList();
+      this.expectOp(')');
+      return items.length === 1
+        ? this.node('paren', start, { expr: items[0] })
+        : this.node('row', start, { items });
+    }
+
+    if (this.acceptOp('[')) {
+      const items = this.isOp(']') ? [] : this.parseExpressionList();
+      this.expectOp(']');
+      return this.node('array', start, { items });
+    }
+
+    if (this.isOp('{')) {
+      this.skipBalanced();
+      return this.node('struct', start, {});
+    }
+
+    if (this.acceptOp('*')) {
+      return this.node('star', start, { qualifier: null });
+    }
+
+    this.fail('Expected expression');
+  }
+
+  parseKeywordExpression() {
+    const token = this.peek();
+    const start = token.start;
+
+    switch (token.upper) {
+      case 'NULL':
+        this.next();
+        return this.node('literal', start, { kind: 'null', value: null });
+      case 'TRUE':
+      case 'FALSE':
+        this.next();
+        return this.node('literal', start, { kind: 'boolean', value: token.upper === 'TRUE' });
+      case 'CASE':
+        return this.parseCase();
+      case 'CAST':
+      case 'TRY_CAST':
+        if (this.isOp('(', 1)) {
+          this.pos += 2;
+          const expr = this.parseExpression();
+          this.expectKeyword('AS');
+          const dataType = this.parseType();
+          this.expectOp(')');
+          return this.node('cast', start, { expr, dataType });
+        }
+        break;
+      case 'EXISTS':
+        if (this.isOp('(', 1)) {
+          this.pos += 2;
+          const query = this.parseQuery();
+          this.expectOp(')');
+          return this.node('exists', start, { query });
+        }
+        break;
+      case 'NOT':
+        if (this.isKeyword('EXISTS', 1)) {
+          this.next();
+          const operand = this.parsePrimary();
+          return this.node('unary', start, { operator: 'NOT', operand });
+        }
+        break;
+      case 'INTERVAL':
+        if (this.peek(1).type === 'string' || this.peek(1).type === 'number' || this.isOp('(', 1)) {
+          this.next();
+          const value = this.parsePrimary();
+          let unit = null;
+          if (this.peek().type === 'ident' && !RESERVED.has(this.peek().upper)) {
+            unit = this.next().upper;
+          }
+          return this.node('interval', start, { value, unit });
+        }
+        break;
+      default:
+        break;
+    }
+
+    // Typed literals: TIMESTAMP '2025-01-01 00:00:00'
+    if (TYPED_LITERAL_TYPES.has(token.upper) && this.peek(1).type === 'string') {
+      this.next();
+      const value = this.next().value;
+      return this.node('typed_literal', start, { dataType: token.upper, value });
+    }
+
+    return this.parseNameOrCall();
+  }
+
+  parseCase() {
+    const start = this.next().start;
+    let operand = null;
+    if (!this.isKeyword('WHEN')) {
+      operand = this.parseExpression();
+    }
+
+    const whens = [];
+    while (this.acceptKeyword('WHEN')) {
+      const condition = this.parseExpression();
+      this.expectKeyword('THEN');
+      const result = this.parseExpression();
+      whens.push({ type: 'when', condition, result, start: condition.start, end: result.end });
+    }
+
+    let elseResult = null;
+    if (this.acceptKeyword('ELSE')) {
+      elseResult = this.parseExpression();
+    }
+    this.expectKeyword('END');
+    return this.node('case', start, { operand, whens, else: elseResult });
+  }
+
+  parseNameOrCall() {
+    const start = this.peek().start;
+    const parts = [this.parseIdentifier()];
+
+    while (this.isOp('.')) {
+      if (this.isOp('*', 1)) {
+        this.pos += 2;
+        return this.node('star', start, { qualifier: parts.join('.') });
+      }
+      if (!['ident', 'quoted'].includes(this.peek(1).type)) break;
+      this.next();
+      parts.push(this.parseIdentifier());
+    }
+
+    if (!this.isOp('(')) {
+      return this.node('column', start, { parts, name: parts[parts.length - 1] });
+    }
+
+    // Function call
+    this.next();
+    const args = this.parseArguments();
+
+    if (this.acceptKeyword('WITHIN', 'GROUP')) {
+      this.skipBalanced();
+    }
+
+    let filter = null;
+    if (this.acceptKeyword('FILTER')) {
+      this.expectOp('(');
+      this.acceptKeyword('WHERE');
+      filter = this.parseExpression();
+      this.expectOp(')');
+    }
+
+    if (this.acceptKeyword('IGNORE', 'NULLS') || this.acceptKeyword('RESPECT', 'NULLS')) {
+      // Null treatment after the argument list
+    }
+
+    let over = null;
+    if (this.acceptKeyword('OVER')) {
+      const overStart = this.peek().start;
+      if (this.isOp('(')) this.skipBalanced();
+      else this.parseIdentifier();
+      over = this.node('window', overStart, {});
+    }
+
+    return this.node('call', start, { name: parts.join('.'), args, filter, over });
+  }
+}
+
+/**
+ * Parse a single SQL statement
+ * @param {string} sql - SQL text
+ * @returns {Object} - Statement AST: a `query`, an `explain` wrapping a query, or `other`
+ */
+export function parseSql(sql) {
+  return new Parser(sql).parseStatement();
+}
+
+/**
+ * Call a visitor for a node and all of its descendants
+ * @param {Object} node - AST node
+ * @param {Function} visitor - Called with (node, parent); return false to skip children
+ * @param {Object} [parent] - Parent node
+ */
+export function walk(node, visitor, parent = null) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    for (const child of node) walk(child, visitor, parent);
+    return;
+  }
+
+  if (visitor(node, parent) === false) return;
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'start' || key === 'end') continue;
+    if (value && typeof value === 'object') {
+      walk(value, visitor, node);
+    }
+  }
+}
+
+/**
+ * Find the table references of a statement, resolving CTE scoping so that
+ * references to a CTE name are not mistaken for tables
+ * @param {Object} statement - Statement AST
+ * @returns {Array} - Table nodes that don't refer to a CTE in scope
+ */
+export function collectTableReferences(statement) {
+  const tables = [];
+
+  const visit = (node, cteNames) => {
+    walk(node, (child) => {
+      if (child.type === 'query' && child !== node) {
+        visitQuery(child, cteNames);
+        return false;
+      }
+      if (child.type === 'table') {
+        const isCte = !child.schema && cteNames.has(child.name.toLowerCase());
+        if (!isCte) tables.push(child);
+        return false;
+      }
+      return true;
+    });
+  };
+
+  const visitQuery = (query, cteNames) => {
+    const names = new Set(cteNames);
+
+    if (query.with) {
+      for (const cte of query.with.ctes) {
+        if (query.with.recursive) names.add(cte.name.toLowerCase());
+        visitQuery(cte.query, names);
+        names.add(cte.name.toLowerCase());
+      }
+    }
+
+    visit({ type: 'scope', body: query.body, orderBy: query.orderBy, limit: query.limit, offset: query.offset }, names);
+  };
+
+  if (statement.type === 'query') visitQuery(statement, new Set());
+  else if (statement.type === 'explain') visitQuery(statement.query, new Set());
+  return tables;
+}
+
+/**
+ * Get the tables listed directly in the FROM clause of a SELECT, including
+ * joined tables but not those inside subqueries
+ * @param {Object} select - Select node
+ * @returns {Array} - Table nodes
+ */
+export function fromTables(select) {
+  const tables = [];
+  const visit = (item) => {
+    if (item.type === 'table') {
+      tables.push(item);
+    } else if (item.type === 'join') {
+      visit(item.left);
+      visit(item.right);
+    } else if (item.type === 'nested') {
+      visit(item.table);
+    }
+  };
+  select.from.forEach(visit);
+  return tables;
+}
+
+/**
+ * Get the first SELECT of a query, descending into set operations and
+ * parenthesized queries
+ * @param {Object} query - Query node
+ * @returns {Object|null} - Select node
+ */
+export function primarySelect(query) {
+  let node = query.type === 'explain' ? query.query.body : query.body;
+  while (node) {
+    if (node.type === 'select') return node;
+    if (node.type === 'setop') node = node.left;
+    else if (node.type === 'subquery') node = node.query.body;
+    else return null;
+  }
+  return null;
+}
+
+/**
+ * Split an expression into its top-level AND conjuncts
+ * @param {Object} expr - Expression node
+ * @returns {Array} - Conjunct expression nodes
+ */
+export function conjuncts(expr) {
+  if (!expr) return [];
+  if (expr.type === 'paren') return conjuncts(expr.expr);
+  if (expr.type === 'binary' && expr.operator === 'AND') {
+    return [...conjuncts(expr.left), ...conjuncts(expr.right)];
+  }
+  return [expr];
+}
+
+/**
+ * Check whether an expression is a reference to a column
+ * @param {Object} expr - Expression node
+ * @param {string} name - Column name (case insensitive)
+ * @returns {boolean}
+ */
+export function isColumn(expr, name) {
+  return !!expr && expr.type === 'column' && expr.name.toLowerCase() === name.toLowerCase();
+}
+
+/**
+ * Get the source text of a node
+ * @param {string} sql - Original SQL
+ * @param {Object} node - AST node
+ * @returns {string}
+ */
+export function nodeText(sql, node) {
+  return sql.slice(node.start, node.end);
+}
+
+/**
+ * Quote an identifier for DuckDB
+ * @param {string} name - Identifier
+ * @returns {string}
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Apply text replacements to SQL. Edits nested in an earlier, larger edit are dropped.
+ * @param {string} sql - Original SQL
+ * @param {Array} edits - Replacements as {start, end, text}
+ * @returns {string} - Rewritten SQL
+ */
+export function applyEdits(sql, edits) {
+  const sorted = [...edits].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const accepted = [];
+  let lastEnd = -1;
+
+  for (const edit of sorted) {
+    if (edit.start < lastEnd) continue;
+    accepted.push(edit);
+    lastEnd = edit.end;
+  }
+
+  let result = '';
+  let position = 0;
+  for (const edit of accepted) {
+    result += sql.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return result + sql.slice(position);
+}
+
+export default {
+  SqlParseError,
+  tokenize,
+  parseSql,
+  walk,
+  collectTableReferences,
+  fromTables,
+  primarySelect,
+  conjuncts,
+  isColumn,
+  nodeText,
+  quoteIdentifier,
+  applyEdits
+};
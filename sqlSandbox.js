@@ -0,0 +1,270 @@
+import path from 'path';
+import { tokenize } from './sqlParser.js';
+
+/**
+ * Safe execution of SQL sent by clients, for /query and /sql:
+ * - only read-only statements (SELECT, WITH, VALUES, FROM, DESCRIBE, SHOW,
+ *   SUMMARIZE, EXPLAIN of those) are allowed, so no COPY, ATTACH, INSTALL,
+ *   LOAD, SET, PRAGMA, CREATE...
+ * - table functions reading files, and file names used as tables
+ *   (FROM 'file.csv' or FROM "file.csv"), must name string literals under
+ *   the allowed directories; URLs and functions running SQL or reaching
+ *   other databases are refused
+ *
+ * The statement check works on tokens rather than on the syntax tree, so it
+ * covers any DuckDB syntax /sql accepts. DuckDB itself is locked down as
+ * well (see sandboxSettings()), in case anything gets through.
+ */
+
+/**
+ * Error for SQL the sandbox refuses
+ */
+export class SandboxViolationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxViolationError';
+    this.status = 403;
+  }
+}
+
+// First keywords of read-only statements
+const READ_ONLY_STATEMENTS = new Set(['SELECT', 'WITH', 'VALUES', 'FROM', 'TABLE', 'DESCRIBE', 'DESC', 'SHOW', 'SUMMARIZE', 'EXPLAIN', 'PIVOT', 'UNPIVOT']);
+
+// Table functions whose first argument is a file path, or a list of them
+const FILE_FUNCTIONS = new Set([
+  'read_parquet', 'parquet_scan', 'parquet_metadata', 'parquet_schema', 'parquet_file_metadata', 'parquet_kv_metadata', 'parquet_bloom_probe',
+  'read_csv', 'read_csv_auto', 'sniff_csv',
+  'read_json', 'read_json_auto', 'read_json_objects', 'read_json_objects_auto',
+  'read_ndjson', 'read_ndjson_auto', 'read_ndjson_objects',
+  'read_text', 'read_blob', 'glob',
+  'read_xlsx', 'st_read', 'iceberg_scan', 'iceberg_metadata', 'iceberg_snapshots', 'delta_scan'
+]);
+
+// Functions running SQL given as a string, or reaching other databases
+const DENIED_FUNCTIONS = new Set(['query', 'query_table', 'json_execute_serialized_sql']);
+const DENIED_FUNCTION_PREFIXES = ['sqlite_', 'postgres_', 'mysql_', 'odbc_'];
+
+// Keywords after which a string literal is read as a file name
+const FILE_TABLE_KEYWORDS = new Set(['FROM', 'JOIN', 'DESCRIBE', 'DESC', 'SUMMARIZE', 'TABLE']);
+
+// Quoted table names DuckDB reads as files (replacement scans)
+const FILE_NAME = /[\/\\]|\.(csv|tsv|parquet|json|jsonl|ndjson|txt|xlsx|arrow|avro|gz|zst)$/i;
+
+// Clause keywords, to tell the comma of a FROM list from other commas
+const CLAUSE_KEYWORDS = new Set(['SELECT', 'FROM', 'WHERE', 'GROUP', 'HAVING', 'QUALIFY', 'WINDOW', 'ORDER', 'LIMIT', 'OFFSET', 'UNION', 'EXCEPT', 'INTERSECT', 'ON', 'USING']);
+
+/**
+ * Check that SQL only reads files under the allowed directories
+ * @param {string} sql - SQL text, possibly several statements
+ * @param {Object} options
+ * @param {Array} options.allowedDirectories - Directories files may be read from
+ * @throws {SandboxViolationError} - For SQL that isn't allowed
+ */
+export function checkSandboxedSql(sql, { allowedDirectories }) {
+  const roots = allowedDirectories.map(dir => path.resolve(dir));
+  const tokens = tokenize(sql).filter(token => token.type !== 'eof');
+
+  // Statements separated by semicolons, each checked on its own
+  let statement = [];
+  for (const token of [...tokens, { type: 'op', value: ';' }]) {
+    if (token.type === 'op' && token.value === ';') {
+      if (statement.length) checkStatement(statement, roots);
+      statement = [];
+    } else {
+      statement.push(token);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function checkStatement(tokens, roots) {
+  const keyword = mainKeyword(tokens);
+  if (!READ_ONLY_STATEMENTS.has(keyword)) {
+    throw new SandboxViolationError(`Only read-only statements are allowed, not ${keyword || tokens[0].value}`);
+  }
+
+  const clauses = [];
+  let depth = 0;
+  for (const [index, token] of tokens.entries()) {
+    let previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    // Adjacent literals are concatenated by DuckDB, which would hide a path from these checks
+    if (token.type === 'string' && next?.type === 'string') {
+      throw new SandboxViolationError('Adjacent string literals are not allowed');
+    }
+    // E'...' escape strings
+    if (token.type === 'string' && previous?.type === 'ident' && previous.upper === 'E' && previous.end === token.start) {
+      previous = tokens[index - 2];
+    }
+
+    if (token.type === 'op' && (token.value === '(' || token.value === '[')) {
+      depth++;
+      clauses[depth] = null;
+    } else if (token.type === 'op' && (token.value === ')' || token.value === ']')) {
+      depth--;
+    } else if (token.type === 'ident' && CLAUSE_KEYWORDS.has(token.upper)) {
+      clauses[depth] = token.upper;
+    }
+
+    // Function calls
+    if ((token.type === 'ident' || token.type === 'quoted') && next?.type === 'op' && next.value === '(') {
+      const name = token.value.toLowerCase();
+      if (DENIED_FUNCTIONS.has(name) || DENIED_FUNCTION_PREFIXES.some(prefix => name.startsWith(prefix))) {
+        throw new SandboxViolationError(`Function ${token.value}() is not allowed`);
+      }
+      if (FILE_FUNCTIONS.has(name)) {
+        for (const filePath of literalPaths(tokens, index + 2, token.value)) {
+          checkPath(filePath, roots);
+        }
+      }
+    }
+
+    // File names used as tables: FROM 'file.parquet' or FROM "file.parquet", also in a FROM list
+    const tablePosition = previous && (
+      (previous.type === 'ident' && FILE_TABLE_KEYWORDS.has(previous.upper)) ||
+      (previous.type === 'op' && previous.value === ',' && clauses[depth] === 'FROM'));
+    if (tablePosition && (token.type === 'string' ||
+      (token.type === 'quoted' && FILE_NAME.test(token.value) && !(next?.type === 'op' && next.value === '.')))) {
+      checkPath(token.value, roots);
+    }
+  }
+}
+
+/**
+ * Keyword of the statement a token list runs: the one after a WITH clause
+ * or EXPLAIN [ANALYZE], or the first one
+ * @private
+ */
+function mainKeyword(tokens) {
+  let index = 0;
+  const isOp = (value) => tokens[index]?.type === 'op' && tokens[index].value === value;
+  const upper = () => (tokens[index]?.type === 'ident' ? tokens[index].upper : null);
+  const skipBalanced = () => {
+    let depth = 0;
+    do {
+      if (isOp('(')) depth++;
+      if (isOp(')')) depth--;
+      index++;
+    } while (depth > 0 && index < tokens.length);
+  };
+
+  // A parenthesized query
+  while (isOp('(')) index++;
+
+  if (upper() === 'EXPLAIN') {
+    index++;
+    if (upper() === 'ANALYZE') index++;
+    return mainKeyword(tokens.slice(index));
+  }
+
+  if (upper() === 'WITH') {
+    index++;
+    if (upper() === 'RECURSIVE') index++;
+    for (;;) {
+      index++; // CTE name
+      if (isOp('(')) skipBalanced();
+      if (upper() !== 'AS') return null;
+      index++;
+      if (upper() === 'NOT') index++;
+      if (upper() === 'MATERIALIZED') index++;
+      if (!isOp('(')) return null;
+      skipBalanced();
+      if (!isOp(',')) break;
+      index++;
+    }
+  }
+
+  return upper();
+}
+
+/**
+ * String literals of the file argument of a function call: a string, or a
+ * list of strings
+ * @private
+ */
+function literalPaths(tokens, index, name) {
+  const token = tokens[index];
+  const following = tokens[index + 1];
+  if (token?.type === 'string' && following?.type === 'op' && (following.value === ',' || following.value === ')')) {
+    return [token.value];
+  }
+
+  if (token?.type === 'op' && token.value === '[') {
+    const paths = [];
+    for (index++; index < tokens.length; index++) {
+      const item = tokens[index];
+      if (item.type === 'string') {
+        paths.push(item.value);
+      } else if (item.type === 'op' && item.value === ']') {
+        return paths;
+      } else if (!(item.type === 'op' && item.value === ',')) {
+        break;
+      }
+    }
+  }
+  throw new SandboxViolationError(`${name}() only accepts file paths given as string literals`);
+}
+
+/**
+ * Require a file path, or glob, to be under an allowed directory
+ * @private
+ */
+function checkPath(filePath, roots) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(filePath)) {
+    throw new SandboxViolationError(`External access is not allowed: ${filePath}`);
+  }
+  // DuckDB expands ~ to the home directory
+  const resolved = filePath.startsWith('~') ? null : path.resolve(filePath);
+  if (!resolved || !roots.some(root => resolved === root || resolved.startsWith(root + path.sep))) {
+    throw new SandboxViolationError(`Access to files outside of the allowed directories is not allowed: ${filePath}`);
+  }
+}
+
+/**
+ * DuckDB settings locking it down: no extension installs or autoloading, no
+ * file access outside of the allowed directories, and no changes to these
+ * settings afterwards
+ * @param {Array} allowedDirectories - Directories DuckDB may read and write
+ * @returns {Array} - Groups of SET statements, to run in order; the statements
+ *   of a group only make sense together (external access can only be turned
+ *   off once the allowed directories are set)
+ */
+export function sandboxSettings(allowedDirectories) {
+  const list = allowedDirectories.map(dir => `'${path.resolve(dir).replace(/'/g, "''")}'`).join(', ');
+  return [
+    ['SET autoinstall_known_extensions = false'],
+    ['SET autoload_known_extensions = false'],
+    [`SET allowed_directories = [${list}]`, 'SET enable_external_access = false'],
+    ['SET lock_configuration = true']
+  ];
+}
+
+/**
+ * Apply groups of SET statements, such as those of sandboxSettings(), to a
+ * connection. Settings this DuckDB version doesn't have are skipped along
+ * with the rest of their group, leaving the SQL checks alone in charge.
+ * @param {Object} connection - DuckDB connection
+ * @param {Array} groups - Groups of SET statements
+ */
+export function applySettings(connection, groups) {
+  for (const group of groups) {
+    for (const statement of group) {
+      try {
+        connection.query(statement);
+      } catch (error) {
+        console.error(`DuckDB setting not applied (${statement}):`, error.message);
+        break;
+      }
+    }
+  }
+}
+
+export default {
+  SandboxViolationError,
+  checkSandboxedSql,
+  sandboxSettings,
+  applySettings
+};
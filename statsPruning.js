@@ -0,0 +1,201 @@
+import { conjuncts } from './sqlParser.js';
+
+/**
+ * File pruning with column statistics.
+ *
+ * Equality, IN, range and BETWEEN predicates on columns other than `time`,
+ * ANDed at the top level of a WHERE clause, are checked against the min/max
+ * of each column in a file: from the `column_stats` the writer records in
+ * metadata.json, or from the row group statistics in the Parquet footer.
+ * A file is skipped when no row in it can satisfy one of the predicates.
+ *
+ * Statistics are {type, min, max} with type VARCHAR (strings, compared by
+ * UTF-8 bytes as DuckDB does), BIGINT (integers as decimal strings) or
+ * DOUBLE (numbers). Predicates only prune columns of the same kind as their
+ * value, anything needing a cast is left to DuckDB.
+ */
+
+// Comparison operators usable for bounds, and their mirror image
+const FLIPPED_OPERATORS = { '=': '=', '==': '=', '>': '<', '>=': '<=', '<': '>', '<=': '>=' };
+
+/**
+ * Compare two statistics values of a column type
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @param {string} type - VARCHAR, BIGINT or DOUBLE
+ * @returns {number} - Negative, zero or positive
+ */
+export function compareStatValues(a, b, type) {
+  if (type === 'VARCHAR') {
+    return Buffer.compare(Buffer.from(String(a)), Buffer.from(String(b)));
+  }
+  if (type === 'BIGINT' && isInteger(a) && isInteger(b)) {
+    const difference = BigInt(a) - BigInt(b);
+    return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+  }
+  return Number(a) - Number(b);
+}
+
+const isInteger = value => typeof value === 'bigint' || (typeof value === 'number' && Number.isInteger(value)) ||
+  (typeof value === 'string' && /^-?\d+$/.test(value));
+
+/**
+ * Value of a literal or bound placeholder, as {kind: string|number, value}
+ * @private
+ */
+function constantValue(node, parameters) {
+  if (node.type === 'paren') {
+    return constantValue(node.expr, parameters);
+  }
+  if (node.type === 'unary' && node.operator === '-') {
+    const operand = constantValue(node.operand, parameters);
+    if (!operand || operand.kind !== 'number') return null;
+    return { kind: 'number', value: -operand.value };
+  }
+  if (node.type === 'literal' && node.kind === 'string') {
+    return { kind: 'string', value: node.value };
+  }
+  if (node.type === 'literal' && node.kind === 'number') {
+    return /^\d+$/.test(node.value)
+      ? { kind: 'number', value: BigInt(node.value) }
+      : Number.isFinite(Number(node.value)) ? { kind: 'number', value: Number(node.value) } : null;
+  }
+  if (node.type === 'param' && parameters.has(node)) {
+    const value = parameters.get(node);
+    if (typeof value === 'string') return { kind: 'string', value };
+    if (typeof value === 'bigint') return { kind: 'number', value };
+    if (typeof value === 'number' && Number.isFinite(value)) return { kind: 'number', value: Number.isInteger(value) ? BigInt(value) : value };
+  }
+  return null;
+}
+
+/**
+ * Extract the predicates usable to prune the files of a relation
+ * @param {Object|null} where - WHERE clause of the SELECT reading the relation
+ * @param {Function} [appliesTo] - Whether a column node belongs to the relation
+ * @param {Map} [parameters] - Values of bound placeholders per node
+ * @returns {Array} - Predicates as {column, operator, values}; operator is =, IN, <, <=, > or >=
+ */
+export function extractColumnPredicates(where, appliesTo = () => true, parameters = new Map()) {
+  const predicates = [];
+  const columnName = (node) => {
+    if (node.type !== 'column' || node.name.toLowerCase() === 'time' || !appliesTo(node)) return null;
+    return node.name.toLowerCase();
+  };
+
+  for (const predicate of conjuncts(where)) {
+    if (predicate.type === 'between' && !predicate.not) {
+      const column = columnName(predicate.expr);
+      const low = constantValue(predicate.low, parameters);
+      const high = constantValue(predicate.high, parameters);
+      if (column && low && high && low.kind === high.kind) {
+        predicates.push({ column, operator: '>=', values: [low] }, { column, operator: '<=', values: [high] });
+      }
+      continue;
+    }
+
+    if (predicate.type === 'in' && !predicate.not && predicate.list) {
+      const column = columnName(predicate.expr);
+      const values = predicate.list.map(item => constantValue(item, parameters));
+      if (column && values.length && values.every(Boolean)) {
+        predicates.push({ column, operator: 'IN', values });
+      }
+      continue;
+    }
+
+    if (predicate.type !== 'binary' || !(predicate.operator in FLIPPED_OPERATORS)) {
+      continue;
+    }
+
+    let { operator, left, right } = predicate;
+    if (!columnName(left)) {
+      // 'web-01' = host is host = 'web-01'
+      [left, right] = [right, left];
+      operator = FLIPPED_OPERATORS[operator];
+    }
+    const column = columnName(left);
+    const value = column && constantValue(right, parameters);
+    if (value) {
+      predicates.push({ column, operator: operator === '==' ? '=' : operator, values: [value] });
+    }
+  }
+
+  return predicates;
+}
+
+/**
+ * Whether a value of a predicate can be compared with statistics of a type
+ * @private
+ */
+function comparable(value, type) {
+  return value.kind === 'string' ? type === 'VARCHAR' : type === 'BIGINT' || type === 'DOUBLE';
+}
+
+/**
+ * Whether a range of column values may satisfy a predicate
+ * @private
+ */
+function rangeCanMatch(stats, predicate) {
+  const { type, min, max } = stats;
+  if (min === null || min === undefined || max === null || max === undefined) return true;
+  if (!predicate.values.every(value => comparable(value, type))) return true;
+  // NaN and unreadable bounds (e.g. 'nan' in a footer) don't bound anything
+  if (type !== 'VARCHAR' && (Number.isNaN(Number(min)) || Number.isNaN(Number(max)))) return true;
+
+  // A BIGINT column compared with a fraction is compared as a double
+  const compareType = type === 'BIGINT' && predicate.values.some(value => typeof value.value === 'number') ? 'DOUBLE' : type;
+  const toMin = value => compareStatValues(value.value, min, compareType);
+  const toMax = value => compareStatValues(value.value, max, compareType);
+  const [value] = predicate.values;
+
+  switch (predicate.operator) {
+    case '=':
+    case 'IN':
+      return predicate.values.some(item => toMin(item) >= 0 && toMax(item) <= 0);
+    case '<':
+      return toMin(value) > 0;
+    case '<=':
+      return toMin(value) >= 0;
+    case '>':
+      return toMax(value) < 0;
+    case '>=':
+      return toMax(value) <= 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Whether rows described by column statistics may satisfy every predicate
+ * @param {Object} columnStats - Statistics per lowercase column name, as {type, min, max}
+ * @param {Array} predicates - Predicates from extractColumnPredicates(); those on columns
+ *   without statistics (e.g. select aliases, or columns of another relation) may match
+ * @returns {boolean}
+ */
+export function statsCanMatch(columnStats, predicates) {
+  return predicates.every((predicate) => {
+    const stats = columnStats[predicate.column];
+    return !stats || rangeCanMatch(stats, predicate);
+  });
+}
+
+/**
+ * Statistics type of a column of a Parquet footer, or null if its values
+ * can't be compared as stored (e.g. decimals, timestamps or unsigned integers)
+ * @param {Object} column - Row of DuckDB's parquet_metadata()
+ * @returns {string|null}
+ */
+export function footerStatsType(column) {
+  const converted = column.converted_type || null;
+  if (column.type === 'BYTE_ARRAY' && converted === 'UTF8') return 'VARCHAR';
+  if ((column.type === 'INT64' || column.type === 'INT32') && (!converted || /^INT_(8|16|32|64)$/.test(converted))) return 'BIGINT';
+  if ((column.type === 'DOUBLE' || column.type === 'FLOAT') && !converted) return 'DOUBLE';
+  return null;
+}
+
+export default {
+  compareStatValues,
+  extractColumnPredicates,
+  statsCanMatch,
+  footerStatsType
+};
@@ -0,0 +1,197 @@
+/**
+ * Resolve time expressions used in query time filters to absolute
+ * nanosecond timestamps:
+ * - now() / current_timestamp, optionally +/- intervals
+ *   (interval '1 hour', INTERVAL 15 MINUTE, InfluxQL durations like 15m or 1h30m)
+ * - quoted literals ('2025-04-01T00:00:00', TIMESTAMP '...', '...'::TIMESTAMP, epoch_ns('...'))
+ * - integers, read as epoch nanoseconds
+ */
+
+const NS_PER_UNIT = {
+  ns: 1n,
+  u: 1000n,
+  us: 1000n,
+  µs: 1000n,
+  ms: 1000000n,
+  s: 1000000000n,
+  m: 60n * 1000000000n,
+  h: 3600n * 1000000000n,
+  d: 86400n * 1000000000n,
+  w: 7n * 86400n * 1000000000n
+};
+
+const INTERVAL_UNITS = {
+  nanosecond: 'ns',
+  microsecond: 'us',
+  millisecond: 'ms',
+  second: 's',
+  minute: 'm',
+  hour: 'h',
+  day: 'd',
+  week: 'w',
+  month: 'month',
+  year: 'year'
+};
+
+const INTERVAL_UNIT_PATTERN = '(?:nanoseconds?|microseconds?|milliseconds?|seconds?|minutes?|hours?|days?|weeks?|months?|years?)';
+const DURATION_PATTERN = '(?:\\d+(?:ns|us|µs|ms|u|s|m|h|d|w))+';
+
+/**
+ * Regex source matching a time expression, for embedding in predicate patterns
+ */
+export const TIME_EXPRESSION_PATTERN =
+  '(?:now\\(\\)|current_timestamp(?:\\(\\))?|epoch_ns\\([^)]*\\)|(?:timestamp(?:tz)?\\s+)?\'[^\']*\'(?:\\s*::\\s*\\w+)?|-?\\d+(?![\\w.]))' +
+  '(?:\\s*[-+]\\s*(?:' +
+    `interval\\s+'[^']*'(?:\\s+${INTERVAL_UNIT_PATTERN}\\b)?|` +
+    `interval\\s+\\d+\\s+${INTERVAL_UNIT_PATTERN}\\b|` +
+    `${DURATION_PATTERN}(?![\\w.])` +
+  '))*';
+
+/**
+ * Parse an InfluxQL duration literal (15m, 1h30m, 500ms) to nanoseconds
+ * @param {string} text - Duration literal
+ * @returns {BigInt|null} - Nanoseconds, or null if the text isn't a duration
+ */
+export function parseDuration(text) {
+  const value = String(text).trim();
+  if (!new RegExp(`^${DURATION_PATTERN}$`).test(value)) {
+    return null;
+  }
+
+  let total = 0n;
+  for (const [, amount, unit] of value.matchAll(/(\d+)(ns|us|µs|ms|u|s|m|h|d|w)/g)) {
+    total += BigInt(amount) * NS_PER_UNIT[unit];
+  }
+  return total;
+}
+
+/**
+ * Parse a SQL interval body ('1 hour', '1 hour 30 minutes', '15m') into
+ * calendar months and nanoseconds
+ * @param {string} text - Interval text
+ * @returns {Object|null} - {months, ns}, or null if the text isn't an interval
+ */
+export function parseInterval(text) {
+  const value = String(text).trim().toLowerCase();
+
+  const duration = parseDuration(value);
+  if (duration !== null) {
+    return { months: 0, ns: duration };
+  }
+
+  const parts = [...value.matchAll(/(\d+)\s*([a-z]+)/g)];
+  if (!parts.length || value.replace(/(\d+)\s*([a-z]+)/g, '').trim()) {
+    return null;
+  }
+
+  let months = 0;
+  let ns = 0n;
+  for (const [, amount, rawUnit] of parts) {
+    const unit = INTERVAL_UNITS[rawUnit.replace(/s$/, '')];
+    if (!unit) return null;
+
+    if (unit === 'month') months += parseInt(amount);
+    else if (unit === 'year') months += parseInt(amount) * 12;
+    else ns += BigInt(amount) * NS_PER_UNIT[unit];
+  }
+  return { months, ns };
+}
+
+/**
+ * Convert a time literal to nanoseconds since epoch. Literals without a
+ * timezone are read as UTC, like DuckDB does; fractions keep nanosecond precision.
+ * @param {string} literal - Time literal, without quotes
+ * @returns {BigInt|null} - Nanoseconds, or null if the literal isn't a valid time
+ */
+export function parseTimeLiteral(literal) {
+  const value = String(literal).trim();
+
+  const iso = value.match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.(\d{1,9}))?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i);
+  if (iso) {
+    const [, date, time = '00:00:00', fraction = '', zone = 'Z'] = iso;
+    const normalizedZone = zone.toUpperCase() === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2');
+    const ms = new Date(`${date}T${time.length === 5 ? `${time}:00` : time}${normalizedZone.length === 3 ? `${normalizedZone}:00` : normalizedZone}`).getTime();
+    if (Number.isNaN(ms)) return null;
+    return BigInt(ms) * 1000000n + BigInt(fraction.padEnd(9, '0'));
+  }
+
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : BigInt(ms) * 1000000n;
+}
+
+/**
+ * Add or subtract an interval from a nanosecond timestamp
+ * @private
+ */
+function applyInterval(ns, interval, sign) {
+  let result = ns;
+
+  if (interval.months) {
+    // Calendar arithmetic, like DuckDB's timestamp +/- interval
+    const msPart = result / 1000000n;
+    const remainder = result - msPart * 1000000n;
+    const date = new Date(Number(msPart));
+    date.setUTCMonth(date.getUTCMonth() + sign * interval.months);
+    result = BigInt(date.getTime()) * 1000000n + remainder;
+  }
+
+  return sign > 0 ? result + interval.ns : result - interval.ns;
+}
+
+/**
+ * Resolve a time expression to an absolute nanosecond timestamp
+ * @param {string} expression - Expression text, e.g. "now() - interval '1 hour'"
+ * @param {BigInt} [now] - Current time in nanoseconds, shared by all expressions of a query
+ * @returns {BigInt|null} - Nanoseconds, or null if the expression isn't understood
+ */
+export function resolveTimeExpression(expression, now = BigInt(Date.now()) * 1000000n) {
+  let rest = String(expression).trim();
+  let value = null;
+  let match;
+
+  // Base value
+  if ((match = rest.match(/^(?:now\(\)|current_timestamp(?:\(\))?)/i))) {
+    value = now;
+  } else if ((match = rest.match(/^epoch_ns\(\s*(?:timestamp(?:tz)?\s+)?'([^']*)'(?:\s*::\s*\w+)?\s*\)/i))) {
+    value = parseTimeLiteral(match[1]);
+  } else if ((match = rest.match(/^(?:timestamp(?:tz)?\s+)?'([^']*)'(?:\s*::\s*(?:timestamp\w*|date))?/i))) {
+    value = parseTimeLiteral(match[1]);
+  } else if ((match = rest.match(/^-?\d+(?![\w.])/))) {
+    value = BigInt(match[0]);
+  }
+
+  if (value === null) {
+    return null;
+  }
+  rest = rest.slice(match[0].length).trim();
+
+  // Interval terms
+  while (rest) {
+    const sign = rest[0] === '+' ? 1 : rest[0] === '-' ? -1 : 0;
+    if (!sign) return null;
+    rest = rest.slice(1).trim();
+
+    let interval = null;
+    if ((match = rest.match(new RegExp(`^interval\\s+'([^']*)'(?:\\s+(${INTERVAL_UNIT_PATTERN})\\b)?`, 'i')))) {
+      interval = parseInterval(match[2] ? `${match[1]} ${match[2]}` : match[1]);
+    } else if ((match = rest.match(new RegExp(`^interval\\s+(\\d+)\\s+(${INTERVAL_UNIT_PATTERN})\\b`, 'i')))) {
+      interval = parseInterval(`${match[1]} ${match[2]}`);
+    } else if ((match = rest.match(new RegExp(`^${DURATION_PATTERN}(?![\\w.])`)))) {
+      interval = { months: 0, ns: parseDuration(match[0]) };
+    }
+
+    if (!interval) return null;
+    value = applyInterval(value, interval, sign);
+    rest = rest.slice(match[0].length).trim();
+  }
+
+  return value;
+}
+
+export default {
+  TIME_EXPRESSION_PATTERN,
+  parseDuration,
+  parseInterval,
+  parseTimeLiteral,
+  resolveTimeExpression
+};